@@ -8,7 +8,14 @@ import clipboard from 'clipboardy';
 import inquirer from 'inquirer';
 import inquirerAutocompletePrompt from 'inquirer-autocomplete-prompt';
 import ChatGPTClient from '../src/ChatGPTClient.js';
+import ChatGPTBrowserClient from '../src/ChatGPTBrowserClient.js';
 import BingAIClient from '../src/BingAIClient.js';
+import { exportConversation, exportFormats, importConversationsToCache } from '../src/conversation-exporter.js';
+import BatchRunner from '../src/BatchRunner.js';
+import PersonaLibrary from '../src/PersonaLibrary.js';
+import {
+    getConversations, getConversationSummary, getFuzzyScore, searchConversations,
+} from '../src/conversation-store.js';
 
 const arg = process.argv.find(_arg => _arg.startsWith('--settings'));
 const path = arg?.split('=')[1] ?? './settings.js';
@@ -52,24 +59,64 @@ if (enableBicImage.type === 'iframe' || !BingAIClient.isValidBicType(enableBicIm
 settings.bingAiClient.features.genImage = enableBicImage;
 
 let conversationData = {};
+// the persona chosen with `!persona`, with its variables filled in
+let activePersona = null;
+// the responses Bing suggested after its last reply in a conversation, sent with `!suggestions`
+let suggestedResponses = { conversationData: null, suggestions: [] };
 
 const availableCommands = [
     {
         name: '!editor - Open the editor (for multi-line messages)',
         value: '!editor',
     },
+    {
+        name: '!suggestions - Send one of the responses Bing suggested',
+        value: '!suggestions',
+    },
     {
         name: '!resume - Resume last conversation',
         value: '!resume',
     },
+    {
+        name: '!history - Search stored conversations to resume or delete',
+        value: '!history',
+    },
     {
         name: '!new - Start new conversation',
         value: '!new',
     },
+    {
+        name: '!regen - Regenerate the last response',
+        value: '!regen',
+    },
+    {
+        name: '!edit - Edit your last message (starts a new branch)',
+        value: '!edit',
+    },
     {
         name: '!copy - Copy conversation to clipboard',
         value: '!copy',
     },
+    {
+        name: '!export - Export conversation to a file (Markdown, JSON, HTML or ChatGPT export)',
+        value: '!export',
+    },
+    {
+        name: '!import - Import conversations from a JSON or ChatGPT export file',
+        value: '!import',
+    },
+    {
+        name: '!persona - Choose a persona from the persona library (starts a new conversation)',
+        value: '!persona',
+    },
+    {
+        name: '!client - Switch to another client (starts a new conversation)',
+        value: '!client',
+    },
+    {
+        name: '!delete - Delete the current conversation',
+        value: '!delete',
+    },
     {
         name: '!delete-all - Delete all conversations',
         value: '!delete-all',
@@ -82,23 +129,53 @@ const availableCommands = [
 
 inquirer.registerPrompt('autocomplete', inquirerAutocompletePrompt);
 
-const clientToUse = settings.cliOptions?.clientToUse || settings.clientToUse || 'chatgpt';
+// clients that use `ChatGPTClient` with another provider, and the key of their options in `settings.js`
+const providerClients = {
+    azure: 'azureOpenAiClient',
+    anthropic: 'anthropicClient',
+    ollama: 'ollamaClient',
+    'openai-compatible': 'openaiCompatibleClient',
+};
+const cliClients = ['chatgpt', 'chatgpt-browser', 'bing', ...Object.keys(providerClients)];
+// new Bing conversations are in jailbreak mode, unless `cliOptions.bingJailbreak` is `false`
+const useBingJailbreak = settings.cliOptions?.bingJailbreak !== false;
 
-let client;
-switch (clientToUse) {
-    case 'bing':
-        client = new BingAIClient({
-            ...settings.bingAiClient,
-            cache: settings.cacheOptions,
+// subcommands, e.g. `chatgpt-cli batch <file.jsonl>`, or options for non-interactive mode, e.g. `chatgpt-cli -p "Hi"`
+const cliArgs = process.argv.slice(2).filter(_arg => !_arg.startsWith('--settings'));
+const isBatch = cliArgs[0] === 'batch';
+let cliArgOptions = {};
+if (!isBatch) {
+    try {
+        const { options, positional } = parseArgs(cliArgs, {
+            strings: ['prompt', 'client', 'conversation-id', 'system'],
+            booleans: ['json', 'stream'],
         });
-        break;
-    default:
-        client = new ChatGPTClient(
-            settings.openaiApiKey || settings.chatGptClient.openaiApiKey,
-            settings.chatGptClient,
-            settings.cacheOptions,
-        );
-        break;
+        if (positional.length > 0) {
+            throw new Error(`Unknown argument: ${positional[0]}`);
+        }
+        if (options.client && !cliClients.includes(options.client)) {
+            throw new Error(`Invalid client: ${options.client}. Possible values: ${cliClients.join(', ')}.`);
+        }
+        cliArgOptions = options;
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(2);
+    }
+}
+
+// changed by the `!client` command
+let clientToUse = cliArgOptions.client || settings.cliOptions?.clientToUse || settings.clientToUse || 'chatgpt';
+let client = getClient(clientToUse);
+
+if (isBatch) {
+    const exitCode = await runBatch(cliArgs.slice(1));
+    await flushStorage();
+    process.exit(exitCode);
+}
+if (cliArgOptions.prompt !== undefined || hasPipedInput()) {
+    const exitCode = await runNonInteractive(cliArgOptions);
+    await flushStorage();
+    process.exit(exitCode);
 }
 
 console.log(tryBoxen('ChatGPT CLI', {
@@ -141,12 +218,30 @@ async function conversation() {
         switch (message) {
             case '!editor':
                 return useEditor();
+            case '!suggestions':
+                return sendSuggestion();
             case '!resume':
                 return resumeConversation();
+            case '!history':
+                return showHistory();
             case '!new':
                 return newConversation();
+            case '!regen':
+                return regenerateResponse();
+            case '!edit':
+                return editLastMessage();
             case '!copy':
                 return copyConversation();
+            case '!export':
+                return exportConversationToFile();
+            case '!import':
+                return importConversationsFromFile();
+            case '!persona':
+                return selectPersona();
+            case '!client':
+                return switchClient();
+            case '!delete':
+                return deleteConversation();
             case '!delete-all':
                 return deleteAllConversations();
             case '!exit':
@@ -158,14 +253,19 @@ async function conversation() {
     return onMessage(message);
 }
 
-async function onMessage(message) {
+/**
+ * Send a message and display the response.
+ * @param {string} message
+ * @param {Function} [sendMessage] Sends the message with the given options, for sending it another way than `client.sendMessage()`.
+ */
+async function onMessage(message, sendMessage = opts => client.sendMessage(message, opts)) {
     let aiLabel;
     switch (clientToUse) {
         case 'bing':
             aiLabel = 'Bing';
             break;
         default:
-            aiLabel = settings.chatGptClient?.chatGptLabel || 'ChatGPT';
+            aiLabel = activePersona?.label || client.chatGptLabel || 'ChatGPT';
             break;
     }
     let reply = '';
@@ -174,13 +274,19 @@ async function onMessage(message) {
     spinner.prefixText = '\n   ';
     spinner.start();
     try {
-        if (clientToUse === 'bing' && !conversationData.jailbreakConversationId) {
+        if (clientToUse === 'bing' && useBingJailbreak && !conversationData.jailbreakConversationId && !conversationData.conversationId) {
             // activate jailbreak mode for Bing
             conversationData.jailbreakConversationId = true;
         }
-        const response = await client.sendMessage(message, {
+        const response = await sendMessage({
             ...conversationData,
+            ...getPersonaMessageOptions(),
+            shouldGenerateTitle: settings.cliOptions?.generateTitles || false,
             onProgress: (token) => {
+                // `ChatGPTBrowserClient` ends its stream with "[DONE]"
+                if (token === '[DONE]') {
+                    return;
+                }
                 reply += token;
                 const output = tryBoxen(`${reply.trim()}█`, {
                     title: aiLabel, padding: 0.7, margin: 1, dimBorder: true,
@@ -191,24 +297,31 @@ async function onMessage(message) {
         let responseText;
         switch (clientToUse) {
             case 'bing':
-                responseText = response.details.adaptiveCards?.[0]?.body?.[0]?.text?.trim() || response.response;
+                // the citations are listed under the response
+                responseText = [
+                    response.response.replace(/\[\^(\d+)\^\]/g, '[$1]').trim(),
+                    ...(response.details.bic?.images || []).map((url, i) => `${i + 1}. ${url}`),
+                ].join('\n');
                 break;
             default:
                 responseText = response.response;
                 break;
         }
-        clipboard.write(responseText).then(() => {}).catch(() => {});
+        clipboard.write(response.markdown || responseText).then(() => {}).catch(() => {});
         spinner.stop();
         switch (clientToUse) {
             case 'bing':
-                conversationData = {
+                // outside of jailbreak mode, the conversation's signature is stored with it
+                conversationData = response.jailbreakConversationId ? {
                     parentMessageId: response.messageId,
                     jailbreakConversationId: response.jailbreakConversationId,
-                    // conversationId: response.conversationId,
-                    // conversationSignature: response.conversationSignature,
-                    // clientId: response.clientId,
-                    // invocationId: response.invocationId,
+                } : {
+                    conversationId: response.conversationId,
                 };
+                if (response.expiredConversationId) {
+                    logWarning('The Bing conversation has expired, so a new conversation was started.');
+                }
+                suggestedResponses = { conversationData, suggestions: response.suggestions };
                 break;
             default:
                 conversationData = {
@@ -222,6 +335,12 @@ async function onMessage(message) {
             title: aiLabel, padding: 0.7, margin: 1, dimBorder: true,
         });
         console.log(output);
+        if (response.citations?.length) {
+            console.log(`   Sources:\n${response.citations.map(citation => `   [${citation.index}] ${citation.title} - ${citation.url}`).join('\n')}\n`);
+        }
+        if (response.suggestions?.length) {
+            console.log(`   Suggestions (send one with !suggestions):\n${response.suggestions.map(suggestion => `   - ${suggestion}`).join('\n')}\n`);
+        }
     } catch (error) {
         spinner.stop();
         logError(error?.json?.error?.message || error.body || error || 'Unknown error');
@@ -229,6 +348,30 @@ async function onMessage(message) {
     return conversation();
 }
 
+async function sendSuggestion() {
+    // suggestions are only valid in the conversation they were made in
+    const suggestions = suggestedResponses.conversationData === conversationData ? suggestedResponses.suggestions : [];
+    if (suggestions.length === 0) {
+        logWarning('There are no suggested responses. Bing suggests responses after its replies.');
+        return conversation();
+    }
+    const { suggestion } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'suggestion',
+            message: 'Send a suggested response:',
+            choices: [
+                ...suggestions,
+                { name: 'Cancel', value: null },
+            ],
+        },
+    ]);
+    if (!suggestion) {
+        return conversation();
+    }
+    return onMessage(suggestion);
+}
+
 async function useEditor() {
     let { message } = await inquirer.prompt([
         {
@@ -246,46 +389,377 @@ async function useEditor() {
     return onMessage(message);
 }
 
+async function regenerateResponse() {
+    if (typeof client.regenerateMessage !== 'function') {
+        logWarning('Regenerating responses is not supported by this client.');
+        return conversation();
+    }
+    if (!conversationData.conversationId) {
+        logWarning('No response to regenerate.');
+        return conversation();
+    }
+    const { conversationId, parentMessageId } = conversationData;
+    return onMessage(null, ({ onProgress }) => client.regenerateMessage(conversationId, parentMessageId, {
+        ...getPersonaMessageOptions(),
+        onProgress,
+    }));
+}
+
+async function editLastMessage() {
+    if (typeof client.editMessage !== 'function') {
+        logWarning('Editing messages is not supported by this client.');
+        return conversation();
+    }
+    if (!conversationData.conversationId) {
+        logWarning('No message to edit.');
+        return conversation();
+    }
+    const { conversationId, parentMessageId } = conversationData;
+    // the conversation may have been deleted (e.g. with !history in another session) or expired
+    const storedConversation = await client.conversationsCache.get(conversationId);
+    if (!storedConversation) {
+        logWarning('This conversation is no longer stored, so its messages can\'t be edited.');
+        return conversation();
+    }
+    const userMessage = ChatGPTClient.getMessagesForConversation(storedConversation.messages, parentMessageId)
+        .reverse()
+        .find(m => m.role === 'User');
+    if (!userMessage) {
+        logWarning('No message to edit.');
+        return conversation();
+    }
+    let { message } = await inquirer.prompt([
+        {
+            type: 'editor',
+            name: 'message',
+            message: 'Edit your message:',
+            default: userMessage.message,
+            waitUserInput: false,
+        },
+    ]);
+    message = message.trim();
+    if (!message) {
+        return conversation();
+    }
+    console.log(message);
+    return onMessage(message, ({ onProgress }) => client.editMessage(conversationId, userMessage.id, message, {
+        ...getPersonaMessageOptions(),
+        onProgress,
+    }));
+}
+
 async function resumeConversation() {
     conversationData = (await client.conversationsCache.get('lastConversation')) || {};
-    if (conversationData.conversationId) {
-        logSuccess(`Resumed conversation ${conversationData.conversationId}.`);
+    const conversationId = conversationData.conversationId || conversationData.jailbreakConversationId;
+    if (conversationId) {
+        logSuccess(`Resumed conversation ${conversationId}.`);
     } else {
         logWarning('No conversation to resume.');
     }
     return conversation();
 }
 
+async function showHistory() {
+    let conversations;
+    try {
+        conversations = await getConversations(client.conversationsCache);
+        if (settings.cliOptions?.generateTitles && client instanceof ChatGPTClient) {
+            await generateMissingTitles(conversations);
+        }
+    } catch (error) {
+        logError(error?.message || error);
+        return conversation();
+    }
+    if (conversations.length === 0) {
+        logWarning('No stored conversations.');
+        return conversation();
+    }
+    const getChoice = (storedConversation, snippet) => {
+        const { title, createdAt, firstMessage } = getConversationSummary(storedConversation);
+        const date = createdAt ? new Date(createdAt).toLocaleString() : 'Unknown date';
+        const details = snippet || (firstMessage || '').replace(/\s+/g, ' ').substring(0, 60);
+        return {
+            name: `${title || 'Untitled'} (${date}) - ${details}`,
+            value: storedConversation.id,
+        };
+    };
+    const { conversationId } = await inquirer.prompt([
+        {
+            type: 'autocomplete',
+            name: 'conversationId',
+            message: 'Search conversations (start with "/" to search all messages):',
+            pageSize: 10,
+            source: (answers, input = '') => {
+                if (input.startsWith('/')) {
+                    return searchConversations(conversations, input.substring(1))
+                        .map(({ conversation: storedConversation, snippet }) => getChoice(storedConversation, snippet));
+                }
+                if (!input.trim()) {
+                    return conversations.map(storedConversation => getChoice(storedConversation));
+                }
+                return conversations
+                    .map((storedConversation) => {
+                        const { title, firstMessage } = getConversationSummary(storedConversation);
+                        return { storedConversation, score: getFuzzyScore(input, `${title || ''} ${firstMessage || ''}`) };
+                    })
+                    .filter(({ score }) => score !== null)
+                    .sort((a, b) => b.score - a.score)
+                    .map(({ storedConversation }) => getChoice(storedConversation));
+            },
+        },
+    ]);
+    const { action } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'action',
+            message: 'What do you want to do with this conversation?',
+            choices: ['Resume', 'Delete', 'Cancel'],
+        },
+    ]);
+    if (action === 'Resume') {
+        const storedConversation = conversations.find(({ id }) => id === conversationId);
+        conversationData = getResumeOptions(conversationId, storedConversation);
+        logSuccess(`Resumed conversation ${conversationId}.`);
+        if (clientToUse === 'bing' && BingAIClient.isConversationExpired(storedConversation)) {
+            logWarning('This Bing conversation has expired, so the next message will start a new conversation.');
+        }
+    } else if (action === 'Delete') {
+        try {
+            await deleteStoredConversation(conversationId);
+            if ((conversationData.conversationId || conversationData.jailbreakConversationId) === conversationId) {
+                conversationData = {};
+            }
+            logSuccess(`Deleted conversation ${conversationId}.`);
+        } catch (error) {
+            logError(error?.message || error);
+        }
+    }
+    return conversation();
+}
+
+/**
+ * Generate titles for the most recent conversations that don't have one, with `ChatGPTClient.generateTitle()`.
+ * @param {Object[]} conversations As returned by `getConversations()`. Their titles are updated in place.
+ */
+async function generateMissingTitles(conversations) {
+    // a title costs a completion, so only the first page of conversations gets titles each time
+    const untitledConversations = conversations.filter(storedConversation => !storedConversation.title).slice(0, 10);
+    if (untitledConversations.length === 0) {
+        return;
+    }
+    const spinner = ora('Generating titles...');
+    spinner.start();
+    for (const storedConversation of untitledConversations) {
+        const { id, ...record } = storedConversation;
+        const userMessage = record.messages.find(m => m.role === 'User');
+        const botMessage = record.messages.find(m => m.parentMessageId === userMessage?.id && m.role !== 'User' && typeof m.message === 'string' && m.message);
+        if (botMessage) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                record.title = await client.generateTitle(userMessage, botMessage);
+                // eslint-disable-next-line no-await-in-loop
+                await client.conversationsCache.set(id, record);
+                storedConversation.title = record.title;
+            } catch {
+                // the first message is shown instead
+            }
+        }
+    }
+    spinner.stop();
+}
+
+async function selectPersona() {
+    if (!settings.personasDir) {
+        logWarning('Set `personasDir` in settings.js to use personas.');
+        return conversation();
+    }
+    if (client instanceof ChatGPTBrowserClient) {
+        logWarning('Personas are not supported by this client.');
+        return conversation();
+    }
+    let personas;
+    try {
+        personas = await new PersonaLibrary(settings.personasDir).getPersonas();
+    } catch (error) {
+        logError(error?.message || error);
+        return conversation();
+    }
+    if (personas.length === 0) {
+        logWarning(`No personas found in ${settings.personasDir}.`);
+        return conversation();
+    }
+    const { personaName } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'personaName',
+            message: 'Choose a persona:',
+            choices: [
+                ...personas.map(persona => ({
+                    name: [persona.name, persona.label && `(${persona.label})`, persona.description && `- ${persona.description}`]
+                        .filter(Boolean)
+                        .join(' '),
+                    value: persona.name,
+                })),
+                { name: 'None (use the default instructions)', value: null },
+            ],
+            default: activePersona?.name,
+        },
+    ]);
+    // the persona's label and model options are set on the client, so start with a new one
+    client = getClient(clientToUse);
+    if (!personaName) {
+        activePersona = null;
+        conversationData = {};
+        logSuccess('Stopped using a persona and started new conversation.');
+        return conversation();
+    }
+    const persona = personas.find(({ name }) => name === personaName);
+    const variables = await inquirer.prompt(persona.variableNames.map(variableName => ({
+        type: 'input',
+        name: variableName,
+        message: `${variableName}:`,
+        default: persona.variables[variableName],
+        validate: input => input !== '' || persona.variables[variableName] !== undefined || `${variableName} is required.`,
+    })));
+    try {
+        activePersona = PersonaLibrary.render(persona, variables);
+    } catch (error) {
+        logError(error?.message || error);
+        return conversation();
+    }
+    conversationData = {};
+    logSuccess(`Using persona ${persona.name} and started new conversation.`);
+    return conversation();
+}
+
+/**
+ * @returns {Object} The `sendMessage()` options that apply the persona chosen with `!persona`, if any.
+ */
+function getPersonaMessageOptions() {
+    if (!activePersona || client instanceof ChatGPTBrowserClient) {
+        return {};
+    }
+    return PersonaLibrary.getMessageOptions(activePersona);
+}
+
 async function newConversation() {
     conversationData = {};
     logSuccess('Started new conversation.');
     return conversation();
 }
 
-async function deleteAllConversations() {
-    if (clientToUse !== 'chatgpt') {
-        logWarning('Deleting all conversations is only supported for ChatGPT client.');
+async function switchClient() {
+    const { clientName } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'clientName',
+            message: 'Switch to client:',
+            choices: cliClients,
+            default: clientToUse,
+        },
+    ]);
+    clientToUse = clientName;
+    client = getClient(clientToUse);
+    conversationData = {};
+    logSuccess(`Switched to ${clientToUse} and started new conversation.`);
+    return conversation();
+}
+
+async function deleteConversation() {
+    const currentConversation = await getCurrentConversation();
+    if (!currentConversation) {
+        logWarning('No conversation to delete.');
         return conversation();
     }
-    await client.conversationsCache.clear();
-    logSuccess('Deleted all conversations.');
+    try {
+        await deleteStoredConversation(currentConversation.id);
+        conversationData = {};
+        logSuccess(`Deleted conversation ${currentConversation.id} and started new conversation.`);
+    } catch (error) {
+        logError(error?.message || error);
+    }
     return conversation();
 }
 
-async function copyConversation() {
-    if (clientToUse !== 'chatgpt') {
-        logWarning('Copying conversations is only supported for ChatGPT client.');
+async function deleteAllConversations() {
+    const { confirmed } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'confirmed',
+            message: `Delete all ${clientToUse} conversations?`,
+            default: false,
+        },
+    ]);
+    if (!confirmed) {
         return conversation();
     }
-    if (!conversationData.conversationId) {
+    const conversations = await getConversations(client.conversationsCache);
+    const failed = [];
+    for (const { id } of conversations) {
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            await deleteStoredConversation(id);
+        } catch (error) {
+            failed.push(`${id}: ${error?.message || error}`);
+        }
+    }
+    await client.conversationsCache.delete('lastConversation');
+    conversationData = {};
+    if (failed.length > 0) {
+        logWarning(`Failed to delete ${failed.length} of ${conversations.length} conversations:\n${failed.join('\n')}`);
+    } else {
+        logSuccess(`Deleted ${conversations.length} conversations.`);
+    }
+    return conversation();
+}
+
+/**
+ * Get the options to continue a stored conversation from its last message. Bing conversations are continued in jailbreak
+ * mode, unless they were stored outside of jailbreak mode (with their signature), in which case Bing keeps their history.
+ * @param {string} conversationId
+ * @param {Object|null} storedConversation
+ * @returns {Object}
+ */
+function getResumeOptions(conversationId, storedConversation) {
+    if (clientToUse === 'bing') {
+        const isJailbreak = storedConversation ? !storedConversation.encryptedConversationSignature : useBingJailbreak;
+        if (!isJailbreak) {
+            return { conversationId };
+        }
+        return {
+            jailbreakConversationId: conversationId,
+            parentMessageId: storedConversation?.messages?.[storedConversation.messages.length - 1]?.id,
+        };
+    }
+    return {
+        conversationId,
+        parentMessageId: storedConversation?.messages?.[storedConversation.messages.length - 1]?.id,
+    };
+}
+
+/**
+ * Delete a stored conversation of the current client. For `chatgpt-browser`, the conversation is also hidden on
+ * chat.openai.com, and it's only deleted locally if that succeeds.
+ * @param {string} conversationId
+ */
+async function deleteStoredConversation(conversationId) {
+    if (client instanceof ChatGPTBrowserClient) {
+        await client.deleteConversation(conversationId);
+    }
+    await client.conversationsCache.delete(conversationId);
+    const lastConversation = await client.conversationsCache.get('lastConversation');
+    if ((lastConversation?.conversationId || lastConversation?.jailbreakConversationId) === conversationId) {
+        await client.conversationsCache.delete('lastConversation');
+    }
+}
+
+async function copyConversation() {
+    const currentConversation = await getCurrentConversation();
+    if (!currentConversation) {
         logWarning('No conversation to copy.');
         return conversation();
     }
-    const { messages } = await client.conversationsCache.get(conversationData.conversationId);
-    // get the last message ID
-    const lastMessageId = messages[messages.length - 1].id;
-    const orderedMessages = ChatGPTClient.getMessagesForConversation(messages, lastMessageId);
-    const conversationString = orderedMessages.map(message => `#### ${message.role}:\n${message.message}`).join('\n\n');
+    const conversationString = exportConversation(currentConversation, 'markdown', conversationData.parentMessageId);
     try {
         await clipboard.write(`${conversationString}\n\n----\nMade with ChatGPT CLI: <https://github.com/waylaidwanderer/node-chatgpt-api>`);
         logSuccess('Copied conversation to clipboard.');
@@ -295,6 +769,376 @@ async function copyConversation() {
     return conversation();
 }
 
+async function exportConversationToFile() {
+    const currentConversation = await getCurrentConversation();
+    if (!currentConversation) {
+        logWarning('No conversation to export.');
+        return conversation();
+    }
+    const { format } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'format',
+            message: 'Export format:',
+            choices: Object.keys(exportFormats),
+        },
+    ]);
+    const { filePath } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'filePath',
+            message: 'Export to file:',
+            default: `./${currentConversation.id}.${exportFormats[format].extension}`,
+        },
+    ]);
+    try {
+        const content = exportConversation(currentConversation, format, conversationData.parentMessageId);
+        fs.writeFileSync(filePath, content);
+        logSuccess(`Exported conversation to ${filePath}.`);
+    } catch (error) {
+        logError(error?.message || error);
+    }
+    return conversation();
+}
+
+async function importConversationsFromFile() {
+    const { filePath } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'filePath',
+            message: 'Import from file (JSON or ChatGPT export):',
+        },
+    ]);
+    if (!filePath.trim()) {
+        return conversation();
+    }
+    try {
+        const content = fs.readFileSync(filePath.trim(), 'utf8');
+        const imported = await importConversationsToCache(client.conversationsCache, content);
+        if (imported.length === 1) {
+            // continue the imported conversation from its last message
+            conversationData = getResumeOptions(imported[0].id, imported[0]);
+            logSuccess(`Imported and resumed conversation ${imported[0].id}.`);
+        } else {
+            logSuccess(`Imported ${imported.length} conversations.`);
+        }
+    } catch (error) {
+        logError(error?.message || error);
+    }
+    return conversation();
+}
+
+/**
+ * Get the stored record of the current conversation, with its ID added as `id`.
+ * @returns {Promise<Object|null>}
+ */
+async function getCurrentConversation() {
+    const conversationId = conversationData.conversationId || conversationData.jailbreakConversationId;
+    if (!conversationId || conversationId === true) {
+        return null;
+    }
+    const storedConversation = await client.conversationsCache.get(conversationId);
+    if (!storedConversation?.messages?.length) {
+        return null;
+    }
+    return { id: conversationId, ...storedConversation };
+}
+
+/**
+ * @param {string} clientName
+ * @returns {ChatGPTClient|ChatGPTBrowserClient|BingAIClient}
+ */
+function getClient(clientName) {
+    switch (clientName) {
+        case 'bing':
+            return new BingAIClient({
+                ...settings.bingAiClient,
+                cache: { ...settings.cacheOptions },
+            });
+        case 'chatgpt-browser':
+            return new ChatGPTBrowserClient(
+                settings.chatGptBrowserClient,
+                { ...settings.cacheOptions },
+            );
+        case 'azure':
+        case 'anthropic':
+        case 'ollama':
+        case 'openai-compatible': {
+            const clientSettings = settings[providerClients[clientName]] || {};
+            return new ChatGPTClient(
+                clientSettings.apiKey,
+                { ...clientSettings, provider: clientName },
+                { ...settings.cacheOptions, namespace: settings.cacheOptions?.namespace || clientName },
+            );
+        }
+        default:
+            return new ChatGPTClient(
+                settings.openaiApiKey || settings.chatGptClient.openaiApiKey,
+                // copied, since per-message client options (like `modelOptions`) are merged into it
+                { ...settings.chatGptClient },
+                { ...settings.cacheOptions },
+            );
+    }
+}
+
+/**
+ * `chatgpt-cli batch <file.jsonl> [--client=<client>] [--concurrency=<n>] [--requests-per-minute=<n>] [--output=<file>]`
+ * runs a batch file (see `src/BatchRunner.js`), and `chatgpt-cli batch --resume=<job ID>` resumes an interrupted run.
+ * @param {string[]} args The arguments after "batch".
+ * @returns {Promise<number>} The exit code: 0 if every request succeeded, 1 otherwise.
+ */
+async function runBatch(args) {
+    let options;
+    let positional;
+    try {
+        ({ options, positional } = parseArgs(args, {
+            strings: ['client', 'concurrency', 'requests-per-minute', 'output', 'resume'],
+        }));
+    } catch (error) {
+        logError(error.message);
+        return 1;
+    }
+    const inputFile = positional[0];
+    const resumeId = options.resume;
+    // not the server's "batches" namespace, or a server sharing the storage would resume the CLI's jobs when it starts
+    const batchRunner = new BatchRunner({}, { ...settings.cacheOptions, namespace: 'cli-batches' });
+
+    let job;
+    if (resumeId) {
+        job = await batchRunner.getJob(resumeId);
+        if (!job) {
+            logError(`Batch job ${resumeId} not found.`);
+            return 1;
+        }
+    } else {
+        if (!inputFile || !fs.existsSync(inputFile)) {
+            logError('Usage: chatgpt-cli batch <file.jsonl> [--client=<client>] [--concurrency=<n>] [--requests-per-minute=<n>] [--output=<file>]');
+            return 1;
+        }
+        const batchClient = options.client || clientToUse;
+        if (!cliClients.includes(batchClient)) {
+            logError(`Invalid client: ${batchClient}`);
+            return 1;
+        }
+        try {
+            job = await batchRunner.createJob(BatchRunner.parseInput(fs.readFileSync(inputFile, 'utf8')), {
+                client: batchClient,
+                concurrency: Number(options.concurrency) || 4,
+                requestsPerMinute: Number(options['requests-per-minute']) || null,
+                resultsFile: options.output || `${inputFile.replace(/\.jsonl?$/, '')}.results.jsonl`,
+            });
+        } catch (error) {
+            logError(error.message);
+            return 1;
+        }
+        if (!settings.storageFilePath && !settings.cacheOptions.store) {
+            logWarning('Batch jobs are only stored in memory, so this job can\'t be resumed if it\'s interrupted. Set `storageFilePath` in settings.js to persist them.');
+        } else {
+            console.log(`Batch job ${job.id} created. If it's interrupted, resume it with \`chatgpt-cli batch --resume=${job.id}\`.`);
+        }
+    }
+
+    const getProgressText = batchJob => `Batch job: ${batchJob.succeeded + batchJob.failed}/${batchJob.total} done (${batchJob.failed} failed)`;
+    const spinner = ora(getProgressText(job));
+    spinner.start();
+    try {
+        job = await batchRunner.runJob(
+            job.id,
+            batchRequest => getClient(job.client).sendMessage(batchRequest.message, {
+                jailbreakConversationId: batchRequest.jailbreakConversationId,
+                conversationId: batchRequest.conversationId?.toString(),
+                parentMessageId: batchRequest.parentMessageId?.toString(),
+                systemMessage: batchRequest.systemMessage,
+                context: batchRequest.context,
+                toneStyle: batchRequest.toneStyle,
+                clientOptions: batchRequest.clientOptions,
+            }),
+            {
+                onResult: (resultLine, batchJob) => {
+                    spinner.text = getProgressText(batchJob);
+                },
+            },
+        );
+    } catch (error) {
+        spinner.stop();
+        logError(error?.message || error);
+        return 1;
+    }
+    spinner.stop();
+    const summary = `${job.succeeded} succeeded, ${job.failed} failed. Results: ${job.resultsFile}`;
+    if (job.failed > 0) {
+        logWarning(summary);
+        return 1;
+    }
+    logSuccess(summary);
+    return 0;
+}
+
+/**
+ * Non-interactive mode, for scripts and pipes: `chatgpt-cli -p "<prompt>"`, or `echo "<prompt>" | chatgpt-cli`.
+ * If both are given, the piped input is appended to the prompt. The reply is streamed to stdout as plain text,
+ * or as NDJSON with `--json`, and errors are written to stderr.
+ * @param {Object} options The parsed command line options.
+ * @returns {Promise<number>} The exit code: 0 on success, 1 if the message failed, 2 if no prompt was given.
+ */
+async function runNonInteractive(options) {
+    process.stdout.on('error', (error) => {
+        // the output was piped to a command that exited, like `head`
+        if (error.code === 'EPIPE') {
+            process.exit(0);
+        }
+        throw error;
+    });
+    const writeJson = data => process.stdout.write(`${JSON.stringify(data)}\n`);
+
+    let prompt = options.prompt || '';
+    if (hasPipedInput()) {
+        const input = (await readStdin()).trim();
+        prompt = [prompt.trim(), input].filter(Boolean).join('\n\n');
+    }
+    if (!prompt.trim()) {
+        console.error('Error: no prompt given. Use -p "<prompt>" or pipe the prompt to stdin.');
+        return 2;
+    }
+
+    const messageOptions = {};
+    const conversationId = options['conversation-id'];
+    if (conversationId) {
+        // continue from the last message of the stored conversation, or start a new conversation with this ID
+        const storedConversation = await client.conversationsCache.get(conversationId);
+        Object.assign(messageOptions, getResumeOptions(conversationId, storedConversation));
+    } else if (clientToUse === 'bing' && useBingJailbreak) {
+        // activate jailbreak mode for Bing
+        messageOptions.jailbreakConversationId = true;
+    }
+    if (options.system) {
+        messageOptions.promptPrefix = options.system;
+        messageOptions.systemMessage = options.system;
+    }
+    let hasStreamed = false;
+    if (options.stream !== false) {
+        messageOptions.onProgress = (token) => {
+            if (typeof token !== 'string' || !token || token === '[DONE]') {
+                return;
+            }
+            hasStreamed = true;
+            if (options.json) {
+                writeJson({ type: 'token', text: token });
+            } else {
+                process.stdout.write(token);
+            }
+        };
+    }
+
+    try {
+        const response = await client.sendMessage(prompt, messageOptions);
+        if (response.expiredConversationId && !options.json) {
+            console.error(`Warning: the Bing conversation ${response.expiredConversationId} has expired, so a new conversation was started.`);
+        }
+        if (options.json) {
+            writeJson({ type: 'result', client: clientToUse, ...response });
+        } else if (hasStreamed) {
+            process.stdout.write('\n');
+        } else {
+            const responseText = clientToUse === 'bing' ? response.markdown : response.response;
+            process.stdout.write(`${responseText}\n`);
+        }
+        return 0;
+    } catch (error) {
+        const message = error?.json?.error?.message || error?.message || error?.body || String(error);
+        if (options.json) {
+            writeJson({ type: 'error', error: message });
+        } else {
+            if (hasStreamed) {
+                process.stdout.write('\n');
+            }
+            console.error(`Error: ${message}`);
+        }
+        return 1;
+    }
+}
+
+/**
+ * Whether stdin is a pipe or a file, as opposed to a terminal or e.g. `/dev/null` (when run by cron or a git hook).
+ * @returns {boolean}
+ */
+function hasPipedInput() {
+    if (process.stdin.isTTY) {
+        return false;
+    }
+    try {
+        const stats = fs.fstatSync(0);
+        return stats.isFIFO() || stats.isFile();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * @returns {Promise<string>} Everything piped to stdin.
+ */
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let input = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', (chunk) => {
+            input += chunk;
+        });
+        process.stdin.on('end', () => resolve(input));
+        process.stdin.on('error', reject);
+    });
+}
+
+/**
+ * Parse command line options: `--name value` or `--name=value`, `-p` for `--prompt`, and flags like `--json`,
+ * which can be turned off with `--no-<flag>`.
+ * @param {string[]} args
+ * @param {Object} knownOptions
+ * @param {string[]} [knownOptions.strings] The names of the options that take a value.
+ * @param {string[]} [knownOptions.booleans] The names of the flags.
+ * @returns {{options: Object, positional: string[]}}
+ */
+function parseArgs(args, { strings = [], booleans = [] }) {
+    const aliases = { p: 'prompt' };
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i += 1) {
+        const match = args[i].match(/^(?:--([^=]+)|-([a-z]))(?:=([\s\S]*))?$/);
+        if (!match) {
+            positional.push(args[i]);
+        } else {
+            const name = match[1] || aliases[match[2]] || match[2];
+            const value = match[3];
+            if (booleans.includes(name)) {
+                options[name] = value === undefined ? true : value !== 'false';
+            } else if (name.startsWith('no-') && booleans.includes(name.slice(3))) {
+                options[name.slice(3)] = false;
+            } else if (strings.includes(name)) {
+                if (value !== undefined) {
+                    options[name] = value;
+                } else if (i + 1 < args.length) {
+                    i += 1;
+                    options[name] = args[i];
+                } else {
+                    throw new Error(`Missing value for ${args[i]}.`);
+                }
+            } else {
+                throw new Error(`Unknown option: ${args[i]}`);
+            }
+        }
+    }
+    return { options, positional };
+}
+
+/**
+ * `KeyvFile` writes changes to disk after a short delay, so wait for them before exiting.
+ */
+async function flushStorage() {
+    if (settings.cacheOptions.store instanceof KeyvFile) {
+        await settings.cacheOptions.store.save();
+    }
+}
+
 function logError(message) {
     console.log(tryBoxen(message, {
         title: 'Error', padding: 0.7, margin: 1, borderColor: 'red',
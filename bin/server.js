@@ -3,11 +3,23 @@ import fastify from 'fastify';
 import cors from '@fastify/cors';
 import { FastifySSEPlugin } from '@waylaidwanderer/fastify-sse-v2';
 import fs from 'fs';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import { pathToFileURL } from 'url';
+import { WebSocketServer } from 'ws';
+import Keyv from 'keyv';
 import { KeyvFile } from 'keyv-file';
 import ChatGPTClient from '../src/ChatGPTClient.js';
 import ChatGPTBrowserClient from '../src/ChatGPTBrowserClient.js';
 import BingAIClient from '../src/BingAIClient.js';
+import { getConversations, getConversationSummary, getSiblingMessages } from '../src/conversation-store.js';
+import { exportConversation, exportFormats } from '../src/conversation-exporter.js';
+import MetricsRegistry from '../src/metrics.js';
+import BatchRunner from '../src/BatchRunner.js';
+import PersonaLibrary from '../src/PersonaLibrary.js';
+import DocumentIndex from '../src/DocumentIndex.js';
+import ResumableStreams from '../src/ResumableStreams.js';
+import { getMessageImages, parseDataUrl } from '../src/images.js';
 
 const arg = process.argv.find(_arg => _arg.startsWith('--settings'));
 const path = arg?.split('=')[1] ?? './settings.js';
@@ -52,8 +64,92 @@ if (!BingAIClient.isValidBicType(enableBicImage.type)) {
 settings.bingAiClient.features.genImage = enableBicImage;
 
 const clientToUse = settings.apiOptions?.clientToUse || settings.clientToUse || 'chatgpt';
+// clients that use `ChatGPTClient` with another provider, and the key of their options in `settings.js`
+const providerClients = {
+    azure: 'azureOpenAiClient',
+    anthropic: 'anthropicClient',
+    ollama: 'ollamaClient',
+    'openai-compatible': 'openaiCompatibleClient',
+};
 const perMessageClientOptionsWhitelist = settings.apiOptions?.perMessageClientOptionsWhitelist || null;
 
+const authOptions = settings.apiOptions?.auth || null;
+const apiKeys = new Map();
+if (authOptions) {
+    let keys = authOptions.keys || [];
+    if (authOptions.keysFile) {
+        if (!fs.existsSync(authOptions.keysFile)) {
+            console.error('Error: the file specified by `apiOptions.auth.keysFile` does not exist.');
+            process.exit(1);
+        }
+        keys = [...keys, ...JSON.parse(fs.readFileSync(authOptions.keysFile, 'utf8'))];
+    }
+    for (const key of keys) {
+        apiKeys.set(key.hash.toLowerCase(), key);
+    }
+}
+const apiUsageCache = new Keyv({ ...settings.cacheOptions, namespace: 'api-usage' });
+// token usage and cost by day, client and model, for `GET /usage`
+const usageCache = new Keyv({ ...settings.cacheOptions, namespace: 'usage' });
+// pending updates of the usage caches, by cache and key (see `updateUsage()`)
+const usageUpdates = new Map([[apiUsageCache, new Map()], [usageCache, new Map()]]);
+
+const batchRunner = new BatchRunner(
+    { resultsDir: settings.apiOptions?.batches?.resultsDir || './batches' },
+    { ...settings.cacheOptions, namespace: 'batches' },
+);
+
+// selected with the `persona` parameter of POST /conversation
+const personaLibrary = settings.personasDir ? new PersonaLibrary(settings.personasDir) : null;
+
+// streamed messages can be resumed with `Last-Event-ID`, unless `apiOptions.resumableStreams` is `false`
+const resumableStreams = settings.apiOptions?.resumableStreams === false
+    ? null
+    : new ResumableStreams(settings.apiOptions?.resumableStreams);
+
+// for the /collections endpoints and the `collection` parameter of POST /conversation
+let documentIndex = null;
+if (settings.retrieval) {
+    const embeddingClient = getClient(getRetrievalClientName());
+    if (!(embeddingClient instanceof ChatGPTClient)) {
+        console.error('Error: `retrieval.client` must be "chatgpt" or a provider client.');
+        process.exit(1);
+    }
+    documentIndex = new DocumentIndex({ ...settings.retrieval, client: embeddingClient });
+}
+
+const metrics = new MetricsRegistry();
+const messageRequests = metrics.counter(
+    'chatgpt_api_requests_total',
+    'Message requests, by the client that handled them and the HTTP status code (499 if the client disconnected).',
+    ['client', 'status'],
+);
+const timeToFirstToken = metrics.histogram(
+    'chatgpt_api_time_to_first_token_seconds',
+    'Time from receiving a streamed message request to streaming its first token.',
+    ['client'],
+);
+const requestDuration = metrics.histogram(
+    'chatgpt_api_request_duration_seconds',
+    'Time from receiving a message request to finishing its response.',
+    ['client'],
+);
+const activeStreams = metrics.gauge('chatgpt_api_active_streams', 'Server-sent event streams currently open.');
+const abortedRequests = metrics.counter(
+    'chatgpt_api_aborted_requests_total',
+    'Message requests closed by the client before they were answered.',
+    ['client'],
+);
+const bingModerationTriggers = metrics.counter(
+    'chatgpt_api_bing_moderation_triggers_total',
+    'Bing replies where the moderation filter triggered.',
+);
+const bingImageGenerations = metrics.counter(
+    'chatgpt_api_bing_image_generations_total',
+    'Bing image generations, by outcome ("success" or "error").',
+    ['outcome'],
+);
+
 const server = fastify();
 
 await server.register(FastifySSEPlugin);
@@ -61,26 +157,286 @@ await server.register(cors, {
     origin: '*',
 });
 
+server.decorateRequest('apiKey', null);
+// fields added to the access log by message requests
+server.decorateRequest('logFields', null);
+
+if (settings.apiOptions?.accessLog === 'json') {
+    server.addHook('onResponse', async (request, reply) => writeAccessLog(request, reply));
+}
+
+server.addHook('onRequest', async (request, reply) => {
+    if (!authOptions || request.method === 'OPTIONS' || request.url === '/ping') {
+        return undefined;
+    }
+    const [scheme, token] = (request.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return sendAuthError(request, reply, 401, 'Missing API key. Set the Authorization header to `Bearer <api key>`.');
+    }
+    const apiKey = getApiKey(token);
+    if (!apiKey) {
+        return sendAuthError(request, reply, 401, 'Invalid API key.');
+    }
+    request.apiKey = apiKey;
+    return undefined;
+});
+
 server.get('/ping', () => Date.now().toString());
 
-server.post('/conversation', async (request, reply) => {
+// opt-in, since the metrics are public unless `apiOptions.auth` is set
+if (settings.apiOptions?.metrics === true) {
+    server.get('/metrics', (request, reply) => reply.type(MetricsRegistry.contentType).send(metrics.render()));
+}
+
+// messages with images can also be sent as multipart/form-data (see `getMultipartBody()`)
+server.addContentTypeParser(
+    'multipart/form-data',
+    { parseAs: 'buffer', bodyLimit: 20 * 1024 * 1024 },
+    (request, body, done) => done(null, body),
+);
+
+server.post('/conversation', { bodyLimit: 20 * 1024 * 1024 }, async (request, reply) => {
+    if (Buffer.isBuffer(request.body)) {
+        try {
+            request.body = await getMultipartBody(request);
+        } catch (error) {
+            return sendError(reply, error);
+        }
+    }
+    const { sendMessage, validateRequest, sendFallbackMessage } = getConversationHandlers(request.body || {});
+    return handleMessageRequest(request, reply, sendMessage, { validateRequest, sendFallbackMessage });
+});
+
+server.post('/conversations/:conversationId/messages/:messageId/regenerate', async (request, reply) => {
+    const { conversationId, messageId } = request.params;
+
+    return handleMessageRequest(request, reply, async (messageClient, messageOptions) => {
+        if (typeof messageClient.regenerateMessage !== 'function') {
+            throw getInvalidError(400, 'Regenerating messages is not supported by this client.');
+        }
+        await getConversationMessage(messageClient.conversationsCache, conversationId, messageId);
+        return messageClient.regenerateMessage(conversationId, messageId, messageOptions);
+    }, { useConversationsClient: true });
+});
+
+server.post('/conversations/:conversationId/messages/:messageId/edit', async (request, reply) => {
     const body = request.body || {};
-    const abortController = new AbortController();
+    const { conversationId, messageId } = request.params;
 
-    reply.raw.on('close', () => {
-        if (abortController.signal.aborted === false) {
-            abortController.abort();
+    return handleMessageRequest(
+        request,
+        reply,
+        async (messageClient, messageOptions) => {
+            if (typeof messageClient.editMessage !== 'function') {
+                throw getInvalidError(400, 'Editing messages is not supported by this client.');
+            }
+            const message = await getConversationMessage(messageClient.conversationsCache, conversationId, messageId);
+            if (message.role !== 'User') {
+                throw getInvalidError(400, 'Only user messages can be edited.');
+            }
+            return messageClient.editMessage(conversationId, messageId, body.message, messageOptions);
+        },
+        {
+            validateRequest: () => {
+                if (!body.message) {
+                    throw getInvalidError(400, 'The message parameter is required.');
+                }
+            },
+            useConversationsClient: true,
+        },
+    );
+});
+
+server.get('/personas', async (request, reply) => {
+    try {
+        if (!personaLibrary) {
+            return reply.send({ personas: [] });
+        }
+        const personas = await personaLibrary.getPersonas();
+        return reply.send({
+            personas: personas.map(({
+                name, label, description, variables, variableNames,
+            }) => ({
+                name, label, description, variables, variableNames,
+            })),
+        });
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+server.get('/collections', async (request, reply) => {
+    try {
+        return reply.send({ collections: documentIndex ? await documentIndex.listCollections() : [] });
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+server.post('/collections', async (request, reply) => {
+    const body = request.body || {};
+    try {
+        if (!documentIndex) {
+            throw getInvalidError(400, 'Collections are not enabled. Set `retrieval` in the settings to use them.');
+        }
+        if (!DocumentIndex.isValidCollectionName(body.name)) {
+            throw getInvalidError(400, 'The name parameter is required, and can only contain letters, numbers, underscores, dots and dashes.');
+        }
+        if (await documentIndex.getCollection(body.name)) {
+            throw getInvalidError(409, `Collection already exists: ${body.name}`);
+        }
+        const collection = await documentIndex.createCollection(body.name, {
+            description: typeof body.description === 'string' ? body.description : null,
+        });
+        return reply.code(201).send(collection);
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+server.get('/collections/:name', async (request, reply) => {
+    try {
+        return reply.send(await getCollection(request.params.name));
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+server.delete('/collections/:name', async (request, reply) => {
+    try {
+        const { name } = await getCollection(request.params.name);
+        await documentIndex.deleteCollection(name);
+        return reply.send({ name, deleted: true });
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+// documents are sent as JSON, with PDFs encoded as base64
+server.post('/collections/:name/documents', { bodyLimit: 20 * 1024 * 1024 }, async (request, reply) => {
+    const body = request.body || {};
+    // embeddings count towards `GET /usage` and the API key's quotas, even if adding the document fails halfway
+    const usages = [];
+    const onUsage = usage => usages.push(usage);
+    try {
+        const { name } = await getCollection(request.params.name);
+        await checkQuotas(request);
+        if (body.path !== undefined) {
+            return reply.code(201).send({ documents: await addDocumentsFromPath(name, body.path, onUsage) });
+        }
+        if (typeof body.source !== 'string' || !body.source) {
+            throw getInvalidError(400, 'The source parameter is required.');
+        }
+        if (typeof body.text !== 'string' && typeof body.data !== 'string') {
+            throw getInvalidError(400, 'Either the text or the data (base64) parameter is required.');
+        }
+        let document;
+        try {
+            document = await documentIndex.addDocument(name, {
+                source: body.source,
+                text: typeof body.text === 'string' ? body.text : null,
+                data: typeof body.data === 'string' ? Buffer.from(body.data, 'base64') : null,
+                format: body.format,
+            }, { onUsage });
+        } catch (error) {
+            // errors of the embeddings API keep their status
+            throw error.status ? error : getInvalidError(400, error.message);
+        }
+        return reply.code(201).send(document);
+    } catch (error) {
+        return sendError(reply, error);
+    } finally {
+        if (usages.length > 0) {
+            await recordUsages(request, getRetrievalClientName(), usages);
+        }
+    }
+});
+
+server.delete('/collections/:name/documents/:documentId', async (request, reply) => {
+    try {
+        const { name } = await getCollection(request.params.name);
+        const { documentId } = request.params;
+        if (!await documentIndex.deleteDocument(name, documentId)) {
+            throw getInvalidError(404, 'Document not found.');
+        }
+        return reply.send({ id: documentId, deleted: true });
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+server.post('/collections/:name/search', async (request, reply) => {
+    const body = request.body || {};
+    const usages = [];
+    try {
+        const { name } = await getCollection(request.params.name);
+        if (typeof body.query !== 'string' || !body.query) {
+            throw getInvalidError(400, 'The query parameter is required.');
+        }
+        const topK = body.topK ?? settings.retrieval.topK ?? 4;
+        if (!Number.isInteger(topK) || topK < 1 || topK > 100) {
+            throw getInvalidError(400, 'The topK parameter must be an integer from 1 to 100.');
         }
+        await checkQuotas(request);
+        const results = await documentIndex.search(name, body.query, {
+            topK,
+            minScore: settings.retrieval.minScore,
+            onUsage: usage => usages.push(usage),
+        });
+        return reply.send({ results });
+    } catch (error) {
+        return sendError(reply, error);
+    } finally {
+        if (usages.length > 0) {
+            await recordUsages(request, getRetrievalClientName(), usages);
+        }
+    }
+});
+
+server.get('/v1/models', request => ({
+    object: 'list',
+    data: getAvailableClients(request).map(id => ({
+        id,
+        object: 'model',
+        created: 0,
+        owned_by: 'node-chatgpt-api',
+    })),
+}));
+
+server.post('/v1/chat/completions', async (request, reply) => {
+    const body = request.body || {};
+
+    const completionId = `chatcmpl-${crypto.randomUUID()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const clientToUseForMessage = getAvailableClients(request).includes(body.model) ? body.model : clientToUse;
+    // set to the client that answered if a fallback client was used
+    let model = body.model || clientToUseForMessage;
+
+    const getChunk = (delta, finishReason = null) => ({
+        id: completionId,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{
+            index: 0,
+            delta,
+            finish_reason: finishReason,
+        }],
     });
 
+    const requestTracker = trackMessageRequest(request, reply);
+    let hasStreamed = false;
     let onProgress;
     if (body.stream === true) {
+        reply.sse({ data: JSON.stringify(getChunk({ role: 'assistant', content: '' })) });
         onProgress = (token) => {
             if (settings.apiOptions?.debug) {
                 console.debug(token);
             }
             if (token !== '[DONE]') {
-                reply.sse({ id: '', data: JSON.stringify(token) });
+                hasStreamed = true;
+                requestTracker.onToken();
+                reply.sse({ data: JSON.stringify(getChunk({ content: token })) });
             }
         };
     } else {
@@ -89,48 +445,55 @@ server.post('/conversation', async (request, reply) => {
 
     let result;
     let error;
+    let answeredBy;
     try {
-        if (!body.message) {
-            const invalidError = new Error();
-            invalidError.data = {
-                code: 400,
-                message: 'The message parameter is required.',
-            };
+        const messages = Array.isArray(body.messages) ? body.messages : [];
+        const lastMessage = messages[messages.length - 1];
+        if (!lastMessage || lastMessage.role !== 'user') {
             // noinspection ExceptionCaughtLocallyJS
-            throw invalidError;
+            throw getInvalidError(400, 'The messages parameter must be a non-empty array ending with a user message.');
         }
+        // throws if the content of a message is invalid
+        messages.forEach(({ content }) => getOpenAIMessageContent(content));
 
-        let clientToUseForMessage = clientToUse;
-        const clientOptions = filterClientOptions(body.clientOptions, clientToUseForMessage);
-        if (clientOptions && clientOptions.clientToUse) {
-            clientToUseForMessage = clientOptions.clientToUse;
-            delete clientOptions.clientToUse;
+        const modelOptions = getOpenAIModelOptions(body);
+        const [modelOption] = Object.keys(modelOptions);
+        if (modelOption && clientToUseForMessage !== 'chatgpt' && !providerClients[clientToUseForMessage]) {
+            throw getInvalidError(400, `The ${modelOption} parameter is not supported by the ${clientToUseForMessage} client.`);
         }
+        checkClientAllowed(request, clientToUseForMessage);
+        await checkQuotas(request);
 
-        let { shouldGenerateTitle } = body;
-        if (typeof shouldGenerateTitle !== 'boolean') {
-            shouldGenerateTitle = settings.apiOptions?.generateTitles || false;
-        }
-
-        const messageClient = getClient(clientToUseForMessage);
-
-        result = await messageClient.sendMessage(body.message, {
-            jailbreakConversationId: body.jailbreakConversationId,
-            conversationId: body.conversationId ? body.conversationId.toString() : undefined,
-            parentMessageId: body.parentMessageId ? body.parentMessageId.toString() : undefined,
-            systemMessage: body.systemMessage,
-            context: body.context,
-            conversationSignature: body.conversationSignature,
-            clientId: body.clientId,
-            invocationId: body.invocationId,
-            shouldGenerateTitle, // only used for ChatGPTClient
-            toneStyle: body.toneStyle,
-            clientOptions,
-            imageURL: body?.imageURL,
-            imageBase64: body?.imageBase64,
-            onProgress,
-            abortController,
-        });
+        ({ result, client: answeredBy } = await sendMessageWithFallback(
+            request,
+            reply.raw,
+            clientToUseForMessage,
+            (messageClient, clientName, abortController) => {
+                const { message, images, ...messageOptions } = getOpenAIMessageOptions(messages, clientName);
+                // the model options only apply to the requested client
+                const clientOptions = clientName === clientToUseForMessage && modelOption ? { modelOptions } : undefined;
+                if (clientOptions && modelOptions.max_tokens !== undefined) {
+                    // the prompt needs at least one token, or `maxPromptTokens` if it's set
+                    const maxTokens = messageClient.maxContextTokens - (messageClient.options.maxPromptTokens || 1);
+                    if (modelOptions.max_tokens > maxTokens) {
+                        throw getInvalidError(400, `The max_tokens parameter must be at most ${maxTokens} for this model.`);
+                    }
+                }
+                return messageClient.sendMessage(message, {
+                    ...messageOptions,
+                    ...getImageOptions(messageClient, { images }),
+                    clientOptions,
+                    onProgress,
+                    abortController,
+                });
+            },
+            () => hasStreamed,
+            // the history is sent with every request, so the conversations aren't stored (or listed in GET /conversations)
+            { storeConversations: false },
+        ));
+        if (answeredBy !== clientToUseForMessage) {
+            model = answeredBy;
+        }
     } catch (e) {
         error = e;
     }
@@ -139,35 +502,309 @@ server.post('/conversation', async (request, reply) => {
         if (settings.apiOptions?.debug) {
             console.debug(result);
         }
+        await recordUsage(request, answeredBy, getOpenAIMessageContent(body.messages[body.messages.length - 1].content).text, result);
+        requestTracker.finish(answeredBy, 200, result);
         if (body.stream === true) {
-            reply.sse({ event: 'result', id: '', data: JSON.stringify(result) });
-            reply.sse({ id: '', data: '[DONE]' });
+            reply.sse({ data: JSON.stringify(getChunk({}, 'stop')) });
+            reply.sse({ data: '[DONE]' });
             await nextTick();
             return reply.raw.end();
         }
-        return reply.send(result);
+        return reply.send({
+            id: completionId,
+            object: 'chat.completion',
+            created,
+            model,
+            choices: [{
+                index: 0,
+                message: {
+                    role: 'assistant',
+                    content: result.response,
+                },
+                finish_reason: 'stop',
+            }],
+            usage: result.usage ? {
+                prompt_tokens: result.usage.promptTokens,
+                completion_tokens: result.usage.completionTokens,
+                total_tokens: result.usage.totalTokens,
+            } : result.details?.usage,
+        });
     }
 
     const code = error?.data?.code || (error.name === 'UnauthorizedRequest' ? 401 : 503);
-    if (code === 503) {
+    if (code === 503 && !requestTracker.closed) {
         console.error(error);
     } else if (settings.apiOptions?.debug) {
         console.debug(error);
     }
-    const message = error?.data?.message || error?.message || `There was an error communicating with ${clientToUse === 'bing' ? 'Bing' : 'ChatGPT'}.`;
+    const message = error?.data?.message || error?.message || `There was an error communicating with ${clientToUseForMessage === 'bing' ? 'Bing' : 'ChatGPT'}.`;
+    requestTracker.finish(clientToUseForMessage, code, null, error);
+    const openAIError = {
+        error: {
+            message,
+            type: code === 400 ? 'invalid_request_error' : 'api_error',
+            code,
+        },
+    };
     if (body.stream === true) {
-        reply.sse({
-            id: '',
-            event: 'error',
-            data: JSON.stringify({
-                code,
-                error: message,
-            }),
-        });
+        reply.sse({ data: JSON.stringify(openAIError) });
         await nextTick();
         return reply.raw.end();
     }
-    return reply.code(code).send({ error: message });
+    return reply.code(code).send(openAIError);
+});
+
+server.get('/conversations', async (request, reply) => {
+    try {
+        const { conversationsCache } = getConversationsClient(request);
+        const conversations = await getConversations(conversationsCache);
+        return reply.send({ conversations: conversations.map(getConversationSummary) });
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+server.get('/conversations/:conversationId', async (request, reply) => {
+    try {
+        const { conversationsCache } = getConversationsClient(request);
+        const conversation = await getConversation(conversationsCache, request.params.conversationId);
+        return reply.send({ id: request.params.conversationId, ...conversation });
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+server.get('/conversations/:conversationId/export', async (request, reply) => {
+    try {
+        const { conversationsCache } = getConversationsClient(request);
+        const { conversationId } = request.params;
+        const { format = 'markdown', messageId } = request.query;
+        if (!exportFormats[format]) {
+            throw getInvalidError(400, `Invalid format: ${format}. Valid formats: ${Object.keys(exportFormats).join(', ')}.`);
+        }
+        if (messageId) {
+            await getConversationMessage(conversationsCache, conversationId, messageId);
+        }
+        const conversation = await getConversation(conversationsCache, conversationId);
+        const content = exportConversation({ id: conversationId, ...conversation }, format, messageId);
+        return reply
+            .type(exportFormats[format].contentType)
+            .header('Content-Disposition', `attachment; filename="${conversationId}.${exportFormats[format].extension}"`)
+            .send(content);
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+server.get('/conversations/:conversationId/messages/:messageId/variants', async (request, reply) => {
+    try {
+        const { conversationsCache } = getConversationsClient(request);
+        const { conversationId, messageId } = request.params;
+        await getConversationMessage(conversationsCache, conversationId, messageId);
+        const { messages } = await getConversation(conversationsCache, conversationId);
+        return reply.send({ messages: getSiblingMessages(messages, messageId) });
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+server.patch('/conversations/:conversationId', async (request, reply) => {
+    try {
+        const { conversationsCache } = getConversationsClient(request);
+        const { conversationId } = request.params;
+        const title = request.body?.title;
+        if (typeof title !== 'string' || !title.trim()) {
+            throw getInvalidError(400, 'The title parameter is required.');
+        }
+        const conversation = await getConversation(conversationsCache, conversationId);
+        conversation.title = title.trim();
+        await conversationsCache.set(conversationId, conversation);
+        return reply.send(getConversationSummary({ id: conversationId, ...conversation }));
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+server.delete('/conversations/:conversationId', async (request, reply) => {
+    try {
+        const conversationsClient = getConversationsClient(request);
+        const { conversationsCache } = conversationsClient;
+        const { conversationId } = request.params;
+        await getConversation(conversationsCache, conversationId);
+        if (conversationsClient instanceof ChatGPTBrowserClient) {
+            // also hide the conversation on chat.openai.com
+            await conversationsClient.deleteConversation(conversationId);
+        }
+        await conversationsCache.delete(conversationId);
+        return reply.send({ id: conversationId, deleted: true });
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+server.get('/usage', async (request, reply) => {
+    try {
+        const today = new Date().toISOString().substring(0, 10);
+        const {
+            from = `${today.substring(0, 7)}-01`,
+            to = today,
+            client,
+            model,
+            groupBy = 'date,client,model',
+        } = request.query;
+        const fromDate = parseUsageDate(from, 'from');
+        const toDate = parseUsageDate(to, 'to');
+        if (fromDate > toDate) {
+            throw getInvalidError(400, 'The from parameter must not be after the to parameter.');
+        }
+        if ((toDate - fromDate) / (24 * 60 * 60 * 1000) >= 366) {
+            throw getInvalidError(400, 'The date range must not be longer than 366 days.');
+        }
+        const groupByFields = groupBy.split(',').map(field => field.trim()).filter(Boolean);
+        const invalidField = groupByFields.find(field => !['date', 'client', 'model'].includes(field));
+        if (invalidField) {
+            throw getInvalidError(400, `Invalid groupBy field: ${invalidField}. Valid fields: date, client, model.`);
+        }
+
+        const rows = new Map();
+        const totals = getEmptyUsage();
+        for (let date = fromDate; date <= toDate; date = new Date(date.getTime() + (24 * 60 * 60 * 1000))) {
+            const day = date.toISOString().substring(0, 10);
+            // eslint-disable-next-line no-await-in-loop
+            const dayUsage = (await usageCache.get(day)) || {};
+            for (const [clientName, models] of Object.entries(dayUsage)) {
+                if (client && clientName !== client) {
+                    continue;
+                }
+                for (const [modelName, usage] of Object.entries(models)) {
+                    if (model && modelName !== model) {
+                        continue;
+                    }
+                    const group = { date: day, client: clientName, model: modelName };
+                    const row = Object.fromEntries(groupByFields.map(field => [field, group[field]]));
+                    const rowKey = JSON.stringify(row);
+                    if (!rows.has(rowKey)) {
+                        rows.set(rowKey, { ...row, ...getEmptyUsage() });
+                    }
+                    addUsage(rows.get(rowKey), usage);
+                    addUsage(totals, usage);
+                }
+            }
+        }
+        return reply.send({
+            from: fromDate.toISOString().substring(0, 10),
+            to: toDate.toISOString().substring(0, 10),
+            usage: [...rows.values()],
+            totals,
+        });
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+// batch files are uploaded as JSONL
+server.addContentTypeParser(
+    ['application/x-ndjson', 'application/jsonl'],
+    { parseAs: 'string', bodyLimit: 10 * 1024 * 1024 },
+    (request, body, done) => done(null, body),
+);
+
+server.post('/batches', { bodyLimit: 10 * 1024 * 1024 }, async (request, reply) => {
+    try {
+        if (typeof request.body !== 'string') {
+            throw getInvalidError(400, 'The request body must be a JSONL file, sent with `Content-Type: application/x-ndjson`.');
+        }
+        const clientName = request.query.client || clientToUse;
+        if (!getAvailableClients(request).includes(clientName)) {
+            throw getInvalidError(400, `Invalid client: ${clientName}`);
+        }
+        const maxConcurrency = settings.apiOptions?.batches?.maxConcurrency || 16;
+        const concurrency = Number(request.query.concurrency || settings.apiOptions?.batches?.concurrency || 4);
+        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > maxConcurrency) {
+            throw getInvalidError(400, `The concurrency parameter must be an integer from 1 to ${maxConcurrency}.`);
+        }
+        const requestsPerMinute = request.query.requestsPerMinute ? Number(request.query.requestsPerMinute) : null;
+        if (requestsPerMinute !== null && !(requestsPerMinute > 0)) {
+            throw getInvalidError(400, 'The requestsPerMinute parameter must be a positive number.');
+        }
+
+        let requests;
+        try {
+            requests = BatchRunner.parseInput(request.body);
+        } catch (error) {
+            throw getInvalidError(400, error.message);
+        }
+        // filter the client options now, since the API key's whitelist isn't available if the job is resumed after a restart
+        const whitelist = getClientOptionsWhitelist(request);
+        requests = requests.map(({ line, request: batchRequest }) => {
+            const inputOptions = batchRequest.clientOptions ? { ...batchRequest.clientOptions } : null;
+            if (inputOptions) {
+                // every line uses the job's client
+                delete inputOptions.clientToUse;
+            }
+            const clientOptions = filterClientOptions(inputOptions, clientName, whitelist);
+            if (clientOptions) {
+                delete clientOptions.clientToUse;
+            }
+            return { line, request: { ...batchRequest, clientOptions } };
+        });
+
+        const job = await batchRunner.createJob(requests, {
+            client: clientName,
+            concurrency,
+            requestsPerMinute,
+            metadata: { apiKeyHash: request.apiKey?.hash.toLowerCase() || null },
+        });
+        startBatchJob(job.id);
+        return reply.code(202).send(getBatchJobSummary(job));
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+server.get('/batches/:id', async (request, reply) => {
+    try {
+        const job = await batchRunner.getJob(request.params.id);
+        // jobs are only visible to the API key that created them
+        if (!job || (job.apiKeyHash && job.apiKeyHash !== request.apiKey?.hash.toLowerCase())) {
+            throw getInvalidError(404, 'Batch job not found.');
+        }
+        if (request.query.results === 'false') {
+            return reply.send(getBatchJobSummary(job));
+        }
+        const results = await BatchRunner.getResults(job);
+        return reply.send({
+            ...getBatchJobSummary(job),
+            results: results.sort((a, b) => a.line - b.line),
+        });
+    } catch (error) {
+        return sendError(reply, error);
+    }
+});
+
+// `/ws` sends `POST /conversation` messages over a WebSocket, see `handleWebSocket()`
+server.get('/ws', (request, reply) => reply.code(426).send({ error: 'This endpoint only accepts WebSocket connections.' }));
+
+const webSocketServer = new WebSocketServer({ noServer: true, maxPayload: 20 * 1024 * 1024 });
+server.server.on('upgrade', (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== '/ws') {
+        socket.destroy();
+        return;
+    }
+    let apiKey = null;
+    if (authOptions) {
+        // browsers can't set headers on WebSocket requests, so the API key can also be passed in the query string
+        const [scheme, token] = (request.headers.authorization || '').split(' ');
+        apiKey = getApiKey(scheme === 'Bearer' && token ? token : url.searchParams.get('apiKey') || '');
+        if (!apiKey) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            return;
+        }
+    }
+    webSocketServer.handleUpgrade(request, socket, head, (webSocket) => {
+        handleWebSocket(webSocket, request, apiKey);
+    });
 });
 
 server.listen({
@@ -180,27 +817,1250 @@ server.listen({
     }
 });
 
+// resume the batch jobs that were interrupted when the server stopped
+for (const id of await batchRunner.getUnfinishedJobIds()) {
+    startBatchJob(id);
+}
+
+/**
+ * Run a batch job in the background.
+ * @param {string} id
+ */
+function startBatchJob(id) {
+    batchRunner.runJob(id, sendBatchMessage).catch((error) => {
+        console.error(`Batch job ${id} failed:`, error);
+    });
+}
+
+/**
+ * Send a message of a batch job with the job's client, subject to the quotas of the API key that created it.
+ * @param {Object} batchRequest A line of the batch file.
+ * @param {Object} job
+ */
+async function sendBatchMessage(batchRequest, job) {
+    const request = { apiKey: null };
+    if (job.apiKeyHash) {
+        request.apiKey = apiKeys.get(job.apiKeyHash);
+        if (!request.apiKey) {
+            throw getInvalidError(401, 'The API key that created this batch job no longer exists.');
+        }
+    }
+    await checkQuotas(request);
+    const result = await getClient(job.client).sendMessage(batchRequest.message, {
+        jailbreakConversationId: batchRequest.jailbreakConversationId,
+        conversationId: batchRequest.conversationId ? batchRequest.conversationId.toString() : undefined,
+        parentMessageId: batchRequest.parentMessageId ? batchRequest.parentMessageId.toString() : undefined,
+        systemMessage: batchRequest.systemMessage,
+        context: batchRequest.context,
+        toneStyle: batchRequest.toneStyle,
+        clientOptions: batchRequest.clientOptions || undefined,
+    });
+    await recordUsage(request, job.client, batchRequest.message, result);
+    return result;
+}
+
+/**
+ * A batch job as returned by the API, without its internal properties.
+ * @param {Object} job
+ */
+function getBatchJobSummary(job) {
+    const { apiKeyHash, resultsFile, ...summary } = job;
+    return summary;
+}
+
 function nextTick() {
     return new Promise(resolve => setTimeout(resolve, 0));
 }
 
-function getClient(clientToUseForMessage) {
+/**
+ * @param {string} clientToUseForMessage
+ * @param {Object} [opts]
+ * @param {boolean} [opts.storeConversations] If false, the client keeps its conversations in memory, so they are
+ * discarded with it (e.g. for the stateless `POST /v1/chat/completions`).
+ */
+function getClient(clientToUseForMessage, { storeConversations = true } = {}) {
+    const cacheOptions = storeConversations ? settings.cacheOptions : {};
     switch (clientToUseForMessage) {
+        // each client sets its own default namespace on the cache options, so they can't be shared
         case 'bing':
-            return new BingAIClient({ ...settings.bingAiClient, cache: settings.cacheOptions });
+            return new BingAIClient({ ...settings.bingAiClient, cache: { ...cacheOptions } });
         case 'chatgpt-browser':
             return new ChatGPTBrowserClient(
                 settings.chatGptBrowserClient,
-                settings.cacheOptions,
+                { ...cacheOptions },
             );
         case 'chatgpt':
             return new ChatGPTClient(
                 settings.openaiApiKey || settings.chatGptClient.openaiApiKey,
-                settings.chatGptClient,
-                settings.cacheOptions,
+                // copied, since per-message client options (like `modelOptions`) are merged into it
+                { ...settings.chatGptClient, documentIndex },
+                { ...cacheOptions },
+            );
+        default: {
+            if (!providerClients[clientToUseForMessage]) {
+                throw new Error(`Invalid clientToUse: ${clientToUseForMessage}`);
+            }
+            // e.g. Ollama works without any settings
+            const clientSettings = settings[providerClients[clientToUseForMessage]] || {};
+            return new ChatGPTClient(
+                clientSettings.apiKey,
+                { ...clientSettings, provider: clientToUseForMessage, documentIndex },
+                { ...cacheOptions, namespace: cacheOptions?.namespace || clientToUseForMessage },
             );
-        default:
-            throw new Error(`Invalid clientToUse: ${clientToUseForMessage}`);
+        }
+    }
+}
+
+/**
+ * Get the client whose `conversationsCache` holds the conversations of the client namespace
+ * in the `client` query parameter: "chatgpt", "chatgpt-browser", "bing" or a provider client (e.g. "anthropic").
+ * Defaults to `clientToUse`.
+ * @param {FastifyRequest} request
+ */
+function getConversationsClient(request) {
+    return getClient(getConversationsClientName(request));
+}
+
+/**
+ * @param {FastifyRequest} request
+ * @returns {string} The client in the `client` query parameter (see `getConversationsClient()`).
+ */
+function getConversationsClientName(request) {
+    const clientName = request.query?.client || clientToUse;
+    if (!['chatgpt', 'chatgpt-browser', 'bing', ...Object.keys(providerClients)].includes(clientName)) {
+        throw getInvalidError(400, `Invalid client: ${clientName}`);
+    }
+    checkClientAllowed(request, clientName);
+    return clientName;
+}
+
+async function getConversation(conversationsCache, conversationId) {
+    const conversation = await conversationsCache.get(conversationId);
+    if (!Array.isArray(conversation?.messages)) {
+        throw getInvalidError(404, 'Conversation not found.');
+    }
+    return conversation;
+}
+
+async function getConversationMessage(conversationsCache, conversationId, messageId) {
+    const { messages } = await getConversation(conversationsCache, conversationId);
+    const message = messages.find(m => m.id === messageId);
+    if (!message) {
+        throw getInvalidError(404, 'Message not found.');
+    }
+    return message;
+}
+
+/**
+ * Handle a request that sends a message to a client, and respond with the result as JSON,
+ * or as a stream of server-sent events if `stream` is set to `true` in the body.
+ * The client is chosen and checked the same way for every such request (see `filterClientOptions()`).
+ * @param {FastifyRequest} request
+ * @param {FastifyReply} reply
+ * @param {Function} sendMessage Called with the client and the `clientOptions`, `onProgress`, `onEvent` and `abortController` options
+ * to send the message with. Returns the result of the client's `sendMessage()`.
+ * @param {Object} [opts]
+ * @param {Function} [opts.validateRequest] Called first, to throw an error if the request is invalid.
+ * @param {Function} [opts.sendFallbackMessage] Enables `apiOptions.fallbackClients` for the request. Called with the fallback
+ * client, its name, the client that failed and the `onProgress`, `onEvent` and `abortController` options to send the message with.
+ * The result includes the name of the client that answered as `client`.
+ * @param {boolean} [opts.useConversationsClient] Use the client of the `client` query parameter, like the other
+ * `/conversations` endpoints (see `getConversationsClient()`), instead of `clientOptions.clientToUse`.
+ */
+async function handleMessageRequest(request, reply, sendMessage, {
+    validateRequest = () => {},
+    sendFallbackMessage = null,
+    useConversationsClient = false,
+} = {}) {
+    const body = request.body || {};
+
+    // WebSocket messages are cancelled rather than resumed when the connection closes
+    let stream = null;
+    if (body.stream === true && resumableStreams && !request.webSocket) {
+        const lastEventId = request.headers['last-event-id'];
+        if (lastEventId) {
+            return resumeStream(request, reply, lastEventId);
+        }
+        stream = resumableStreams.create(request.apiKey);
+        stream.attach(reply);
+    }
+    // the events of a stream that can't be resumed aren't numbered
+    const sendEvent = event => (stream ? stream.push(event) : reply.sse({ id: '', ...event }));
+    const endStream = () => (stream ? stream.end() : reply.raw.end());
+    // a resumable stream is only closed once it's abandoned or finished
+    const connection = stream || reply.raw;
+
+    const requestTracker = trackMessageRequest(request, reply, connection);
+
+    let hasStreamed = false;
+    let onProgress;
+    let onEvent = null;
+    if (body.stream === true) {
+        onProgress = (token) => {
+            if (settings.apiOptions?.debug) {
+                console.debug(token);
+            }
+            if (token !== '[DONE]') {
+                hasStreamed = true;
+                requestTracker.onToken();
+                sendEvent({ data: JSON.stringify(token) });
+            }
+        };
+        // typed progress events (e.g. `searching` for `BingAIClient`) are sent as events named after their type
+        onEvent = event => sendEvent({ event: event.type, data: JSON.stringify(event) });
+    } else {
+        onProgress = null;
+    }
+
+    let result;
+    let error;
+    let clientToUseForMessage = clientToUse;
+    try {
+        await validateRequest();
+
+        let inputOptions = body.clientOptions;
+        if (useConversationsClient) {
+            clientToUseForMessage = getConversationsClientName(request);
+            // the options are filtered with the whitelist of the conversation's client, not of `clientOptions.clientToUse`
+            inputOptions = body.clientOptions ? { ...body.clientOptions } : null;
+            if (inputOptions) {
+                delete inputOptions.clientToUse;
+            }
+        }
+        const clientOptions = filterClientOptions(inputOptions, clientToUseForMessage, getClientOptionsWhitelist(request));
+        if (clientOptions && clientOptions.clientToUse) {
+            clientToUseForMessage = clientOptions.clientToUse;
+            delete clientOptions.clientToUse;
+        }
+        checkClientAllowed(request, clientToUseForMessage);
+        await checkQuotas(request);
+
+        let answeredBy;
+        ({ result, client: answeredBy } = await sendMessageWithFallback(
+            request,
+            connection,
+            clientToUseForMessage,
+            (messageClient, clientName, abortController, failedClient) => {
+                if (clientName === clientToUseForMessage) {
+                    return sendMessage(messageClient, {
+                        clientOptions,
+                        onProgress,
+                        onEvent,
+                        abortController,
+                    });
+                }
+                return sendFallbackMessage(messageClient, clientName, failedClient, {
+                    onProgress,
+                    onEvent,
+                    abortController,
+                });
+            },
+            () => hasStreamed,
+            { useFallbackClients: Boolean(sendFallbackMessage) },
+        ));
+        result = { ...result, client: answeredBy };
+    } catch (e) {
+        error = e;
+    }
+
+    if (result !== undefined) {
+        if (settings.apiOptions?.debug) {
+            console.debug(result);
+        }
+        await recordUsage(request, result.client, body.message || '', result);
+        requestTracker.finish(result.client, 200, result);
+        if (body.stream === true) {
+            // the sources and suggested responses of Bing, which are also in the result
+            for (const event of ['citations', 'suggestions']) {
+                if (result[event]?.length) {
+                    sendEvent({ event, data: JSON.stringify(result[event]) });
+                }
+            }
+            sendEvent({ event: 'result', data: JSON.stringify(result) });
+            sendEvent({ data: '[DONE]' });
+            await nextTick();
+            return endStream();
+        }
+        return reply.send(result);
+    }
+
+    const code = error?.data?.code || (error.name === 'UnauthorizedRequest' ? 401 : 503);
+    if (code === 503 && !requestTracker.closed) {
+        console.error(error);
+    } else if (settings.apiOptions?.debug) {
+        console.debug(error);
+    }
+    const message = error?.data?.message || error?.message || `There was an error communicating with ${clientToUse === 'bing' ? 'Bing' : 'ChatGPT'}.`;
+    requestTracker.finish(clientToUseForMessage, code, null, error);
+    if (body.stream === true) {
+        sendEvent({
+            event: 'error',
+            data: JSON.stringify({
+                code,
+                error: message,
+            }),
+        });
+        await nextTick();
+        return endStream();
+    }
+    return reply.code(code).send({ error: message });
+}
+
+/**
+ * Stands in for the `FastifyReply` of a streamed message in `handleMessageRequest()`, sending its server-sent events
+ * as WebSocket frames. `cancel()` closes it like a client disconnecting from the stream, which aborts the message.
+ */
+class WebSocketReply {
+    /**
+     * @param {string} id The ID of the message.
+     * @param {function(Object): void} send Sends a frame.
+     */
+    constructor(id, send) {
+        this.id = id;
+        this.sendFrame = send;
+        this.startTime = Date.now();
+        this.cancelled = false;
+        this.raw = new EventEmitter();
+        this.raw.end = () => this.close();
+    }
+
+    sse({ event = 'delta', data }) {
+        if (data === '[DONE]') {
+            return;
+        }
+        if (this.cancelled && event === 'error') {
+            // the message fails once it's aborted
+            this.sendFrame({ type: 'cancelled', id: this.id });
+        } else if (!this.cancelled || event !== 'delta') {
+            this.sendFrame({ type: event, id: this.id, data: JSON.parse(data) });
+        }
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this.close();
+    }
+
+    close() {
+        if (!this.closed) {
+            this.closed = true;
+            this.raw.emit('close');
+        }
+    }
+
+    getResponseTime() {
+        return Date.now() - this.startTime;
+    }
+}
+
+/**
+ * Handle a `/ws` connection. Each frame is a JSON object with a `type` and an `id` chosen by the client, which
+ * identifies the message it belongs to, so that several messages (of the same or different conversations) can be
+ * sent at the same time:
+ * - `{ type: "message", id, ...fields }` sends a message, with the same fields as the body of `POST /conversation`.
+ * - `{ type: "cancel", id }` stops generating the reply to a message.
+ *
+ * The replies are sent as `{ type, id, data }` frames, where `type` is the event name of the `POST /conversation`
+ * stream: `delta` (a token), `result`, or `error` (`{ code, error }`), or `cancelled` after a `cancel` frame.
+ * Closing the connection cancels the messages that are still being answered, as does not answering the pings the
+ * server sends every `apiOptions.webSocketPingInterval` milliseconds.
+ * @param {WebSocket} webSocket
+ * @param {IncomingMessage} upgradeRequest
+ * @param {Object|null} apiKey
+ */
+function handleWebSocket(webSocket, upgradeRequest, apiKey) {
+    const { remoteAddress: ip } = upgradeRequest.socket;
+    // the replies to messages that are being answered, by ID
+    const replies = new Map();
+    const send = (frame) => {
+        if (webSocket.readyState === webSocket.OPEN) {
+            webSocket.send(JSON.stringify(frame));
+        }
+    };
+
+    webSocket.on('message', async (data, isBinary) => {
+        let frame;
+        try {
+            frame = isBinary ? null : JSON.parse(data.toString());
+        } catch {
+            frame = null;
+        }
+        if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+            send({ type: 'error', id: null, data: { code: 400, error: 'Frames must be JSON objects.' } });
+            return;
+        }
+        const { type, id, ...body } = frame;
+        if (typeof id !== 'string' || !id) {
+            send({ type: 'error', id: null, data: { code: 400, error: 'The id of the frame is required.' } });
+            return;
+        }
+        if (type === 'cancel') {
+            if (!replies.has(id)) {
+                send({ type: 'error', id, data: { code: 404, error: `No message with the id ${id} is being answered.` } });
+                return;
+            }
+            replies.get(id).cancel();
+            return;
+        }
+        if (type !== 'message') {
+            send({ type: 'error', id, data: { code: 400, error: `Invalid frame type: ${type}.` } });
+            return;
+        }
+        if (replies.has(id)) {
+            send({ type: 'error', id, data: { code: 409, error: `A message with the id ${id} is already being answered.` } });
+            return;
+        }
+
+        // `handleMessageRequest()` streams to the reply as it does to a `POST /conversation` request with `stream: true`
+        const request = {
+            method: 'WS',
+            url: '/ws',
+            ip,
+            apiKey,
+            webSocket: true,
+            body: { ...body, stream: true },
+            logFields: null,
+        };
+        const reply = new WebSocketReply(id, send);
+        replies.set(id, reply);
+        const { sendMessage, validateRequest, sendFallbackMessage } = getConversationHandlers(request.body);
+        try {
+            await handleMessageRequest(request, reply, sendMessage, { validateRequest, sendFallbackMessage });
+        } catch (error) {
+            console.error(error);
+            send({ type: 'error', id, data: { code: 503, error: 'An unknown error occurred.' } });
+        } finally {
+            replies.delete(id);
+        }
+        if (settings.apiOptions?.accessLog === 'json' && !request.logFields?.aborted) {
+            // aborted messages were logged by `trackMessageRequest()`
+            writeAccessLog(request, reply, request.logFields?.messageStatus);
+        }
+    });
+
+    const cancelReplies = () => {
+        for (const reply of replies.values()) {
+            reply.cancel();
+        }
+    };
+
+    // connections that stop answering pings (e.g. of clients that lost their network) are closed
+    let isAlive = true;
+    webSocket.on('pong', () => {
+        isAlive = true;
+    });
+    const heartbeat = setInterval(() => {
+        if (!isAlive) {
+            webSocket.terminate();
+            return;
+        }
+        isAlive = false;
+        webSocket.ping();
+    }, settings.apiOptions?.webSocketPingInterval || 30000);
+
+    // invalid frames (e.g. unmasked or oversized frames) make the socket emit an error, after which it's closed
+    webSocket.on('error', (error) => {
+        console.error(error);
+        cancelReplies();
+    });
+
+    webSocket.on('close', () => {
+        clearInterval(heartbeat);
+        cancelReplies();
+    });
+}
+
+/**
+ * @param {string} token
+ * @returns {Object|null} The API key in `apiOptions.auth` with this token.
+ */
+function getApiKey(token) {
+    const hash = crypto.createHash('sha256').update(token).digest('hex');
+    return apiKeys.get(hash) || null;
+}
+
+/**
+ * Resume a stream of `handleMessageRequest()` for a client that reconnected with the `Last-Event-ID` header:
+ * send the events it missed, then the rest of the stream. Streams that have expired get a 410 `error` event.
+ * @param {FastifyRequest} request
+ * @param {FastifyReply} reply
+ * @param {string} lastEventId
+ */
+async function resumeStream(request, reply, lastEventId) {
+    const resumed = resumableStreams.find(lastEventId, request.apiKey);
+    if (!resumed) {
+        reply.sse({
+            id: '',
+            event: 'error',
+            data: JSON.stringify({
+                code: 410,
+                error: 'The stream has expired and can no longer be resumed.',
+            }),
+        });
+        await nextTick();
+        return reply.raw.end();
+    }
+    resumed.stream.attach(reply, resumed.lastEventIndex);
+    // the stream ends the reply when it's finished
+    await new Promise((resolve) => {
+        reply.raw.once('close', resolve);
+    });
+    return reply;
+}
+
+/**
+ * Write a line of the JSON access log (`apiOptions.accessLog: 'json'`) to stdout.
+ * @param {FastifyRequest} request
+ * @param {FastifyReply} reply
+ * @param {number} [status] The status to log instead of the reply's.
+ */
+function writeAccessLog(request, reply, status = reply.statusCode) {
+    console.log(JSON.stringify({
+        time: new Date().toISOString(),
+        method: request.method,
+        url: request.url,
+        status,
+        responseTime: Math.round(reply.getResponseTime()),
+        ip: request.ip,
+        apiKey: request.apiKey ? request.apiKey.name || null : undefined,
+        ...request.logFields,
+    }));
+}
+
+/**
+ * Track a message request for `/metrics` and the access log.
+ * @param {FastifyRequest} request
+ * @param {FastifyReply} reply
+ * @param {EventEmitter} [connection] Emits `close` when the client is gone. (Default: `reply.raw`)
+ * @returns {{onToken: function(): void, finish: function(string, number, Object=, Error=): void}}
+ * Call `onToken()` for each streamed token, and `finish()` with the client that handled the request,
+ * the HTTP status code and the result or error, before responding.
+ */
+function trackMessageRequest(request, reply, connection = reply.raw) {
+    const stream = request.body?.stream === true;
+    // the IP address is no longer available once the client has disconnected
+    const { ip } = request;
+    let timeToFirstTokenMs = null;
+    let closed = false;
+    if (stream) {
+        activeStreams.inc();
+    }
+    connection.once('close', () => {
+        closed = true;
+        if (stream) {
+            activeStreams.dec();
+        }
+    });
+
+    return {
+        get closed() {
+            return closed;
+        },
+        onToken() {
+            if (timeToFirstTokenMs === null) {
+                timeToFirstTokenMs = reply.getResponseTime();
+            }
+        },
+        finish(clientName, status, result = null, error = null) {
+            // the request failed because the client disconnected
+            const aborted = closed && !result;
+            const statusLabel = aborted ? 499 : status;
+            messageRequests.inc({ client: clientName, status: statusLabel });
+            requestDuration.observe({ client: clientName }, reply.getResponseTime() / 1000);
+            if (timeToFirstTokenMs !== null) {
+                timeToFirstToken.observe({ client: clientName }, timeToFirstTokenMs / 1000);
+            }
+            if (aborted) {
+                abortedRequests.inc({ client: clientName });
+            }
+            if (result?.details?.moderationTriggered) {
+                bingModerationTriggers.inc();
+            }
+            if (result?.details?.bic) {
+                bingImageGenerations.inc({ outcome: result.details.bic.error ? 'error' : 'success' });
+            }
+            request.logFields = {
+                client: clientName,
+                stream,
+                ...(stream ? { messageStatus: statusLabel } : {}),
+                ...(timeToFirstTokenMs !== null ? { timeToFirstToken: Math.round(timeToFirstTokenMs) } : {}),
+                ...(aborted ? { aborted, ip } : {}),
+                ...(error ? { error: error.data?.message || error.message, errorName: error.name } : {}),
+            };
+            if (aborted && settings.apiOptions?.accessLog === 'json') {
+                // `onResponse` isn't called for responses that were never sent
+                writeAccessLog(request, reply, 499);
+            }
+        },
+    };
+}
+
+/**
+ * Send a message with the given client, falling back to the clients in `apiOptions.fallbackClients`, in order,
+ * if it fails before any tokens have been streamed. Errors in the request itself (4xx) don't fall back.
+ * @param {FastifyRequest} request
+ * @param {EventEmitter} connection Emits `close` when the client is gone, which aborts the message
+ * (e.g. the reply's `raw` response).
+ * @param {string} clientToUseForMessage
+ * @param {Function} sendMessage Called with the client, its name, an `AbortController` for the attempt
+ * and the client that failed before it (if any). Returns the result of the client's `sendMessage()`.
+ * @param {Function} hasStreamed Returns whether any tokens have been streamed to the response.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.useFallbackClients]
+ * @param {boolean} [opts.storeConversations] See `getClient()`.
+ * @returns {Promise<{result: Object, client: string}>} The result, and the name of the client that answered.
+ */
+async function sendMessageWithFallback(
+    request,
+    connection,
+    clientToUseForMessage,
+    sendMessage,
+    hasStreamed,
+    { useFallbackClients = true, storeConversations = true } = {},
+) {
+    const clientNames = [
+        clientToUseForMessage,
+        ...(useFallbackClients ? settings.apiOptions?.fallbackClients || [] : [])
+            .filter(clientName => clientName !== clientToUseForMessage)
+            .filter(clientName => !request.apiKey?.clients || request.apiKey.clients.includes(clientName)),
+    ];
+
+    let abortController;
+    let closed = false;
+    connection.on('close', () => {
+        closed = true;
+        if (abortController?.signal.aborted === false) {
+            abortController.abort();
+        }
+    });
+
+    let failedClient = null;
+    for (let i = 0; ; i++) {
+        // each attempt gets its own controller, since a failed client may have aborted its own
+        abortController = new AbortController();
+        let messageClient = null;
+        try {
+            messageClient = getClient(clientNames[i], { storeConversations });
+            // eslint-disable-next-line no-await-in-loop
+            const result = await sendMessage(messageClient, clientNames[i], abortController, failedClient);
+            return { result, client: clientNames[i] };
+        } catch (error) {
+            const isRequestError = error?.data?.code >= 400 && error?.data?.code < 500;
+            if (i === clientNames.length - 1 || closed || hasStreamed() || isRequestError) {
+                throw error;
+            }
+            console.warn(`The "${clientNames[i]}" client failed, falling back to "${clientNames[i + 1]}":`, error?.message || error);
+            failedClient = messageClient;
+        }
+    }
+}
+
+/**
+ * Get the functions that send a `POST /conversation` message (also sent over `/ws`), as taken by `handleMessageRequest()`.
+ * @param {Object} body The body of the request.
+ * @returns {{sendMessage: Function, validateRequest: Function, sendFallbackMessage: Function}}
+ */
+function getConversationHandlers(body) {
+    let persona = null;
+
+    return {
+        sendMessage: (messageClient, messageOptions) => {
+            let { shouldGenerateTitle } = body;
+            if (typeof shouldGenerateTitle !== 'boolean') {
+                shouldGenerateTitle = settings.apiOptions?.generateTitles || false;
+            }
+
+            let personaOptions = {};
+            if (persona) {
+                if (messageClient instanceof ChatGPTBrowserClient) {
+                    throw getInvalidError(400, 'Personas are not supported by this client.');
+                }
+                personaOptions = PersonaLibrary.getMessageOptions(persona, messageOptions.clientOptions);
+            }
+
+            let retrieval;
+            if (body.collection !== undefined) {
+                if (!(messageClient instanceof ChatGPTClient)) {
+                    throw getInvalidError(400, 'Collections are not supported by this client.');
+                }
+                retrieval = {
+                    collection: body.collection,
+                    topK: settings.retrieval.topK,
+                    maxTokens: settings.retrieval.maxTokens,
+                    minScore: settings.retrieval.minScore,
+                };
+            }
+
+            const imageOptions = getImageOptions(messageClient, body);
+
+            return messageClient.sendMessage(body.message, {
+                jailbreakConversationId: body.jailbreakConversationId,
+                conversationId: body.conversationId ? body.conversationId.toString() : undefined,
+                parentMessageId: body.parentMessageId ? body.parentMessageId.toString() : undefined,
+                promptPrefix: personaOptions.promptPrefix,
+                systemMessage: body.systemMessage || personaOptions.systemMessage,
+                context: body.context,
+                encryptedConversationSignature: body.encryptedConversationSignature || body.conversationSignature,
+                clientId: body.clientId,
+                invocationId: body.invocationId,
+                shouldGenerateTitle, // only used for ChatGPTClient
+                toneStyle: body.toneStyle,
+                ...imageOptions,
+                retrieval, // only used for ChatGPTClient
+                ...messageOptions,
+                clientOptions: personaOptions.clientOptions || messageOptions.clientOptions,
+            });
+        },
+        validateRequest: async () => {
+            if (!body.message) {
+                throw getInvalidError(400, 'The message parameter is required.');
+            }
+            if (body.persona !== undefined) {
+                persona = await getPersona(body.persona, body.personaVariables);
+            }
+            if (body.collection !== undefined) {
+                await getCollection(body.collection, 400);
+            }
+            try {
+                getMessageImages(body);
+            } catch (error) {
+                throw getInvalidError(400, error.message);
+            }
+        },
+        sendFallbackMessage: async (messageClient, clientName, failedClient, messageOptions) => {
+            const { message, ...fallbackMessageOptions } = await getFallbackMessageOptions(failedClient, clientName, {
+                ...body,
+                systemMessage: body.systemMessage || persona?.prompt,
+            });
+            return messageClient.sendMessage(message, {
+                ...fallbackMessageOptions,
+                onProgress: messageOptions.onProgress,
+                onEvent: messageOptions.onEvent,
+                abortController: messageOptions.abortController,
+            });
+        },
+    };
+}
+
+/**
+ * Get the options to send a `POST /conversation` message to a fallback client. The fallback client can't continue
+ * the conversation of the client that failed, so it starts a new one, with the previous messages of the failed client's
+ * stored conversation (if any) passed in the same way as the history of `POST /v1/chat/completions`.
+ * @param {Object|null} failedClient
+ * @param {string} clientName The name of the fallback client.
+ * @param {Object} body The body of the request.
+ */
+async function getFallbackMessageOptions(failedClient, clientName, body) {
+    const messages = [body.systemMessage, body.context]
+        .filter(Boolean)
+        .map(content => ({ role: 'system', content }));
+    const conversationId = typeof body.jailbreakConversationId === 'string' ? body.jailbreakConversationId : body.conversationId;
+    const conversation = conversationId && body.parentMessageId
+        ? await failedClient?.conversationsCache?.get(conversationId.toString())
+        : null;
+    if (Array.isArray(conversation?.messages)) {
+        for (const message of ChatGPTClient.getMessagesForConversation(conversation.messages, body.parentMessageId.toString())) {
+            if (message.role === 'User') {
+                messages.push({ role: 'user', content: message.message });
+            } else if (message.role !== 'Tool' && !message.toolCalls) {
+                messages.push({ role: 'assistant', content: message.message });
+            }
+        }
+    }
+    messages.push({ role: 'user', content: body.message });
+    return getOpenAIMessageOptions(messages, clientName);
+}
+
+/**
+ * Parse a multipart/form-data body of POST /conversation into the fields of a JSON body. Files (e.g. in an `image`
+ * field) are added to `images`, as are `images` fields with an image URL. The fields that aren't strings in a JSON body
+ * (like `stream` or `clientOptions`) are parsed as JSON.
+ * @param {FastifyRequest} request
+ * @returns {Promise<Object>}
+ */
+async function getMultipartBody(request) {
+    let formData;
+    try {
+        formData = await new Response(request.body, { headers: { 'content-type': request.headers['content-type'] } }).formData();
+    } catch {
+        throw getInvalidError(400, 'The request body is not valid multipart/form-data.');
+    }
+    const jsonFields = ['stream', 'shouldGenerateTitle', 'jailbreakConversationId', 'clientOptions', 'personaVariables'];
+    const body = {};
+    for (const [name, value] of formData.entries()) {
+        if (typeof value !== 'string') {
+            // eslint-disable-next-line no-await-in-loop
+            const data = Buffer.from(await value.arrayBuffer());
+            body.images = [...(body.images || []), { base64: data.toString('base64') }];
+        } else if (name === 'images') {
+            body.images = [...(body.images || []), value];
+        } else if (jsonFields.includes(name)) {
+            try {
+                body[name] = JSON.parse(value);
+            } catch {
+                body[name] = value;
+            }
+        } else {
+            body[name] = value;
+        }
+    }
+    return body;
+}
+
+/**
+ * Get the image options of a message for its client. `ChatGPTClient` takes any number of images, while `BingAIClient`
+ * takes a single image as `imageURL` or `imageBase64`.
+ * @param {Object} messageClient
+ * @param {Object} body The body of the request.
+ * @returns {Object}
+ */
+function getImageOptions(messageClient, body) {
+    const images = getMessageImages(body);
+    if (images.length === 0 || messageClient instanceof ChatGPTClient) {
+        return { imageURL: body.imageURL, imageBase64: body.imageBase64, images: body.images };
+    }
+    if (!(messageClient instanceof BingAIClient)) {
+        throw getInvalidError(400, 'Images are not supported by this client.');
+    }
+    if (images.length > 1) {
+        throw getInvalidError(400, 'Only one image can be sent to Bing.');
+    }
+    const dataUrl = parseDataUrl(images[0].url);
+    return dataUrl ? { imageBase64: dataUrl.base64 } : { imageURL: images[0].url };
+}
+
+/**
+ * Get a collection of the document index (see `settings.retrieval`).
+ * @param {string} name
+ * @param {number} [notFoundCode] The status code of the error if the collection doesn't exist.
+ * @returns {Promise<Object>}
+ */
+async function getCollection(name, notFoundCode = 404) {
+    if (!documentIndex) {
+        throw getInvalidError(400, 'Collections are not enabled. Set `retrieval` in the settings to use them.');
+    }
+    if (typeof name !== 'string') {
+        throw getInvalidError(400, 'The collection parameter must be a string.');
+    }
+    const collection = await documentIndex.getCollection(name);
+    if (!collection) {
+        throw getInvalidError(notFoundCode, `Collection not found: ${name}`);
+    }
+    return collection;
+}
+
+/**
+ * Add a file, or the files of a directory, from `settings.retrieval.documentsDir` to a collection.
+ * @param {string} collectionName
+ * @param {string} documentPath The path of the file or directory, relative to `documentsDir`.
+ * @param {function(Object): void} onUsage Called with the usage of each request for embeddings.
+ * @returns {Promise<Object[]>} The documents that were added.
+ */
+async function addDocumentsFromPath(collectionName, documentPath, onUsage) {
+    const { documentsDir } = settings.retrieval;
+    if (!documentsDir) {
+        throw getInvalidError(400, 'Adding documents by path is not enabled. Set `retrieval.documentsDir` in the settings to use it.');
+    }
+    if (typeof documentPath !== 'string') {
+        throw getInvalidError(400, 'The path parameter must be a string.');
+    }
+    // the path can't leave `documentsDir`
+    const baseDir = fs.realpathSync(documentsDir);
+    let fullPath;
+    try {
+        fullPath = fs.realpathSync(`${baseDir}/${documentPath}`);
+    } catch {
+        throw getInvalidError(404, `File not found: ${documentPath}`);
+    }
+    if (fullPath !== baseDir && !fullPath.startsWith(`${baseDir}/`)) {
+        throw getInvalidError(400, 'The path must be inside `retrieval.documentsDir`.');
+    }
+    try {
+        return await documentIndex.addPath(collectionName, fullPath, { baseDir, onUsage });
+    } catch (error) {
+        throw error.status ? error : getInvalidError(400, error.message);
+    }
+}
+
+/**
+ * @returns {string} The client used for the embeddings of `settings.retrieval`.
+ */
+function getRetrievalClientName() {
+    return settings.retrieval.client || 'chatgpt';
+}
+
+/**
+ * Get a persona from `settings.personasDir`, with its variables filled in.
+ * @param {string} name
+ * @param {Object} [variables]
+ * @returns {Promise<Object>} The rendered persona (see `PersonaLibrary.render()`).
+ */
+async function getPersona(name, variables) {
+    if (!personaLibrary) {
+        throw getInvalidError(400, 'Personas are not enabled. Set `personasDir` in the settings to use them.');
+    }
+    if (typeof name !== 'string' || (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables)))) {
+        throw getInvalidError(400, 'The persona parameter must be a string, and personaVariables an object.');
+    }
+    const persona = await personaLibrary.getPersona(name);
+    if (!persona) {
+        throw getInvalidError(400, `Persona not found: ${name}`);
+    }
+    try {
+        return PersonaLibrary.render(persona, variables);
+    } catch (error) {
+        throw getInvalidError(400, error.message);
+    }
+}
+
+function getInvalidError(code, message) {
+    const invalidError = new Error();
+    invalidError.data = {
+        code,
+        message,
+    };
+    return invalidError;
+}
+
+function sendError(reply, error) {
+    const code = error?.data?.code || 503;
+    if (code === 503) {
+        console.error(error);
+    } else if (settings.apiOptions?.debug) {
+        console.debug(error);
+    }
+    return reply.code(code).send({ error: error?.data?.message || error?.message || 'An unknown error occurred.' });
+}
+
+/**
+ * The clients that can be selected by name through the `model` parameter of the OpenAI-compatible endpoints.
+ * @param {FastifyRequest} request
+ * @returns {string[]}
+ */
+function getAvailableClients(request) {
+    const validClientsToUse = getClientOptionsWhitelist(request)?.validClientsToUse || [];
+    return [...new Set([clientToUse, ...validClientsToUse])]
+        .filter(clientName => !request.apiKey?.clients || request.apiKey.clients.includes(clientName));
+}
+
+/**
+ * API keys can override `perMessageClientOptionsWhitelist` (including setting it to `null`).
+ * @param {FastifyRequest} request
+ */
+function getClientOptionsWhitelist(request) {
+    if (request.apiKey && typeof request.apiKey.perMessageClientOptionsWhitelist !== 'undefined') {
+        return request.apiKey.perMessageClientOptionsWhitelist;
+    }
+    return perMessageClientOptionsWhitelist;
+}
+
+function checkClientAllowed(request, clientName) {
+    if (request.apiKey?.clients && !request.apiKey.clients.includes(clientName)) {
+        throw getInvalidError(403, `This API key is not allowed to use the "${clientName}" client.`);
+    }
+}
+
+function getApiUsageKey(apiKey) {
+    // quotas reset at midnight UTC
+    return `${apiKey.name || apiKey.hash}:${new Date().toISOString().substring(0, 10)}`;
+}
+
+/**
+ * Throw a 429 error if the request's API key has used up one of its daily quotas,
+ * otherwise count the request towards `quotas.requestsPerDay`.
+ * @param {FastifyRequest} request
+ */
+async function checkQuotas(request) {
+    if (!request.apiKey) {
+        return;
+    }
+    const { quotas = {} } = request.apiKey;
+    // keep the usage around for two days to cover timezone differences when inspecting it
+    await updateUsage(apiUsageCache, getApiUsageKey(request.apiKey), (usage = { requests: 0, tokens: 0 }) => {
+        if (quotas.requestsPerDay && usage.requests >= quotas.requestsPerDay) {
+            throw getInvalidError(429, 'This API key has exceeded its daily request quota.');
+        }
+        if (quotas.tokensPerDay && usage.tokens >= quotas.tokensPerDay) {
+            throw getInvalidError(429, 'This API key has exceeded its daily token quota.');
+        }
+        return { ...usage, requests: usage.requests + 1 };
+    }, 2 * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Record the tokens used by a message and its response for `GET /usage`,
+ * and count them towards the API key's `quotas.tokensPerDay`.
+ * @param {FastifyRequest} request
+ * @param {string} clientName The client that answered.
+ * @param {string} message
+ * @param {Object} result The result of `sendMessage()`.
+ */
+async function recordUsage(request, clientName, message, result) {
+    // the completions made for the message besides the reply (e.g. its title) are recorded under their own model
+    await recordUsages(request, clientName, [getResultUsage(message, result), ...(result.additionalUsage || [])]);
+}
+
+/**
+ * @param {FastifyRequest} request
+ * @param {string} clientName
+ * @param {Object[]} usages Usages as returned by `ChatGPTClient.getUsage()`.
+ */
+async function recordUsages(request, clientName, usages) {
+    const day = new Date().toISOString().substring(0, 10);
+    await updateUsage(usageCache, day, (dayUsage = {}) => {
+        const clientUsage = { ...dayUsage[clientName] };
+        for (const usage of usages) {
+            const model = usage.model || clientName;
+            clientUsage[model] = addUsage({ ...(clientUsage[model] || getEmptyUsage()) }, usage);
+        }
+        return { ...dayUsage, [clientName]: clientUsage };
+    });
+
+    if (!request.apiKey) {
+        return;
+    }
+    const tokens = usages.reduce((tokenCount, usage) => tokenCount + usage.totalTokens, 0);
+    await updateUsage(apiUsageCache, getApiUsageKey(request.apiKey), (apiUsage = { requests: 0, tokens: 0 }) => ({
+        ...apiUsage,
+        tokens: apiUsage.tokens + tokens,
+    }), 2 * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Update a record of a usage cache. Keyv can only get and set values, so the updates of a record are queued, or
+ * concurrent requests would overwrite each other's counts (and go over their quotas).
+ * This only covers the requests of this process.
+ * @param {Keyv} cache `usageCache` or `apiUsageCache`.
+ * @param {string} key
+ * @param {function(Object|undefined): Object} update Returns the new value given the current one. Errors it throws
+ * are thrown without updating the record.
+ * @param {number} [ttl]
+ */
+async function updateUsage(cache, key, update, ttl = undefined) {
+    const updates = usageUpdates.get(cache);
+    const previousUpdate = updates.get(key) || Promise.resolve();
+    const nextUpdate = previousUpdate.catch(() => {}).then(async () => {
+        await cache.set(key, update(await cache.get(key)), ttl);
+    });
+    updates.set(key, nextUpdate);
+    try {
+        await nextUpdate;
+    } finally {
+        if (updates.get(key) === nextUpdate) {
+            updates.delete(key);
+        }
+    }
+}
+
+/**
+ * The usage of a `sendMessage()` result. `ChatGPTClient` returns it as `usage`; for the other clients,
+ * the tokens of the message and response are counted instead, and the cost is unknown.
+ * @param {string} message
+ * @param {Object} result
+ * @returns {{model?: string, promptTokens: number, completionTokens: number, totalTokens: number, cost: number|null}}
+ */
+function getResultUsage(message, result) {
+    if (result.usage) {
+        return result.usage;
+    }
+    const tokenizer = ChatGPTClient.getTokenizer('cl100k_base');
+    const promptTokens = tokenizer.encode(message, 'all').length;
+    const completionTokens = tokenizer.encode(result.response || '', 'all').length;
+    return {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        cost: null,
+    };
+}
+
+function getEmptyUsage() {
+    return {
+        requests: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        cost: 0,
+    };
+}
+
+/**
+ * Add a request's usage to a total (in place). Requests with an unknown cost don't add to the cost.
+ * @param {Object} total
+ * @param {Object} usage Either a request's usage or another total, which has `requests`.
+ */
+function addUsage(total, usage) {
+    total.requests += usage.requests ?? 1;
+    total.promptTokens += usage.promptTokens;
+    total.completionTokens += usage.completionTokens;
+    total.totalTokens += usage.totalTokens;
+    // round to avoid floating point noise in the sums
+    total.cost = Math.round((total.cost + (usage.cost || 0)) * 1e6) / 1e6;
+    return total;
+}
+
+/**
+ * @param {string} date A date in `YYYY-MM-DD` format (UTC).
+ * @param {string} name The name of the parameter, for the error message.
+ * @returns {Date}
+ */
+function parseUsageDate(date, name) {
+    const parsedDate = /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T00:00:00Z`) : null;
+    if (!parsedDate || Number.isNaN(parsedDate.getTime())) {
+        throw getInvalidError(400, `The ${name} parameter must be a date in YYYY-MM-DD format.`);
+    }
+    return parsedDate;
+}
+
+function sendAuthError(request, reply, code, message) {
+    if (request.url.startsWith('/v1/')) {
+        return reply.code(code).send({
+            error: {
+                message,
+                type: 'invalid_request_error',
+                code,
+            },
+        });
+    }
+    return reply.code(code).send({ error: message });
+}
+
+/**
+ * Convert an OpenAI `messages` array into the message and `sendMessage` options for the given client.
+ * The last message is sent as the new message. `ChatGPTClient` (with any provider) receives the earlier messages as a conversation tree,
+ * while the other clients only receive them as a transcript.
+ * The images of the last message are returned as `images`, to be passed through `getImageOptions()`.
+ * @param {{ role: string, content: string|Object[] }[]} messages
+ * @param {string} clientToUseForMessage
+ */
+function getOpenAIMessageOptions(messages, clientToUseForMessage) {
+    const { text: message, images } = getOpenAIMessageContent(messages[messages.length - 1].content);
+    const imageOptions = images.length > 0 ? { images } : {};
+    const previousMessages = messages
+        .slice(0, -1)
+        .map(({ role, content }) => ({ role, ...getOpenAIMessageContent(content) }));
+    const systemMessage = previousMessages
+        .filter(previousMessage => previousMessage.role === 'system')
+        .map(previousMessage => previousMessage.text)
+        .join('\n\n');
+    const history = previousMessages.filter(previousMessage => previousMessage.role === 'user' || previousMessage.role === 'assistant');
+
+    if (clientToUseForMessage === 'chatgpt' || providerClients[clientToUseForMessage]) {
+        const conversation = {
+            messages: [],
+            createdAt: Date.now(),
+        };
+        let parentMessageId;
+        for (const previousMessage of history) {
+            const id = crypto.randomUUID();
+            conversation.messages.push({
+                id,
+                parentMessageId,
+                role: previousMessage.role === 'user' ? 'User' : 'ChatGPT',
+                message: previousMessage.text,
+                ...(previousMessage.images.length > 0 ? { images: previousMessage.images } : {}),
+            });
+            parentMessageId = id;
+        }
+        return {
+            message,
+            conversation,
+            parentMessageId,
+            promptPrefix: systemMessage || undefined,
+            ...imageOptions,
+        };
+    }
+
+    // the other clients can't receive the images of earlier messages
+    const transcript = history
+        .map(previousMessage => `${previousMessage.role === 'user' ? 'User' : 'Assistant'}:\n${previousMessage.text}`)
+        .join('\n\n');
+    const context = [systemMessage, transcript].filter(Boolean).join('\n\n');
+    if (clientToUseForMessage === 'bing') {
+        return {
+            message,
+            context: context || undefined,
+            ...imageOptions,
+        };
+    }
+    // `ChatGPTBrowserClient` has no way of receiving context, so it is prepended to the message instead.
+    return {
+        message: context ? `${context}\n\nUser:\n${message}` : message,
+        ...imageOptions,
+    };
+}
+
+/**
+ * Get the `modelOptions` of the standard parameters of a `POST /v1/chat/completions` request. Unlike other client options,
+ * they are applied regardless of `perMessageClientOptionsWhitelist`, since OpenAI's SDKs expect them to work.
+ * `max_completion_tokens` is taken as the newer name of `max_tokens`.
+ * @param {Object} body
+ * @returns {Object}
+ */
+function getOpenAIModelOptions(body) {
+    const modelOptions = {};
+    const ranges = {
+        temperature: [0, 2],
+        top_p: [0, 1],
+        presence_penalty: [-2, 2],
+        frequency_penalty: [-2, 2],
+    };
+    for (const [option, [min, max]] of Object.entries(ranges)) {
+        if (body[option] !== undefined && body[option] !== null) {
+            if (typeof body[option] !== 'number' || body[option] < min || body[option] > max) {
+                throw getInvalidError(400, `The ${option} parameter must be a number from ${min} to ${max}.`);
+            }
+            modelOptions[option] = body[option];
+        }
+    }
+    const maxTokensOption = body.max_completion_tokens !== undefined && body.max_completion_tokens !== null
+        ? 'max_completion_tokens'
+        : 'max_tokens';
+    const maxTokens = body[maxTokensOption];
+    if (maxTokens !== undefined && maxTokens !== null) {
+        if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+            throw getInvalidError(400, `The ${maxTokensOption} parameter must be a positive integer.`);
+        }
+        modelOptions.max_tokens = maxTokens;
+    }
+    if (body.stop !== undefined && body.stop !== null) {
+        const stop = typeof body.stop === 'string' ? [body.stop] : body.stop;
+        if (!Array.isArray(stop) || stop.length > 4 || !stop.every(sequence => typeof sequence === 'string')) {
+            throw getInvalidError(400, 'The stop parameter must be a string or an array of up to 4 strings.');
+        }
+        modelOptions.stop = stop;
+    }
+    return modelOptions;
+}
+
+/**
+ * Get the text and images of the `content` of an OpenAI message: a string, or an array of content parts, whose `text`
+ * parts are joined and whose `image_url` parts are returned as images (see `getMessageImages()`).
+ * @param {string|Object[]} content
+ * @returns {{text: string, images: {url: string, detail?: string}[]}}
+ */
+function getOpenAIMessageContent(content) {
+    if (typeof content === 'string') {
+        return { text: content, images: [] };
+    }
+    if (!Array.isArray(content)) {
+        throw getInvalidError(400, 'The content of a message must be a string or an array of content parts.');
+    }
+    const textParts = [];
+    const images = [];
+    for (const part of content) {
+        if (part?.type === 'text' && typeof part.text === 'string') {
+            textParts.push(part.text);
+        } else if (part?.type === 'image_url' && typeof part.image_url?.url === 'string') {
+            images.push({ url: part.image_url.url, detail: part.image_url.detail });
+        } else {
+            throw getInvalidError(400, `Unsupported content part: ${JSON.stringify(part?.type ?? null)}. Only "text" and "image_url" parts are supported.`);
+        }
+    }
+    try {
+        return { text: textParts.join('\n'), images: getMessageImages({ images }) };
+    } catch (error) {
+        throw getInvalidError(400, error.message);
     }
 }
 
@@ -210,25 +2070,26 @@ function getClient(clientToUseForMessage) {
  * Returns original object if no whitelist is set.
  * @param {*} inputOptions
  * @param clientToUseForMessage
+ * @param {*} [whitelist] Overrides `perMessageClientOptionsWhitelist`, e.g. for a specific API key.
  */
-function filterClientOptions(inputOptions, clientToUseForMessage) {
-    if (!inputOptions || !perMessageClientOptionsWhitelist) {
+function filterClientOptions(inputOptions, clientToUseForMessage, whitelist = perMessageClientOptionsWhitelist) {
+    if (!inputOptions || !whitelist) {
         return null;
     }
 
     // If inputOptions.clientToUse is set and is in the whitelist, use it instead of the default
     if (
-        perMessageClientOptionsWhitelist.validClientsToUse
+        whitelist.validClientsToUse
         && inputOptions.clientToUse
-        && perMessageClientOptionsWhitelist.validClientsToUse.includes(inputOptions.clientToUse)
+        && whitelist.validClientsToUse.includes(inputOptions.clientToUse)
     ) {
         clientToUseForMessage = inputOptions.clientToUse;
     } else {
         inputOptions.clientToUse = clientToUseForMessage;
     }
 
-    const whitelist = perMessageClientOptionsWhitelist[clientToUseForMessage];
-    if (!whitelist) {
+    const clientWhitelist = whitelist[clientToUseForMessage];
+    if (!clientWhitelist) {
         // No whitelist, return all options
         return inputOptions;
     }
@@ -238,12 +2099,12 @@ function filterClientOptions(inputOptions, clientToUseForMessage) {
     };
 
     for (const property of Object.keys(inputOptions)) {
-        const allowed = whitelist.includes(property);
+        const allowed = clientWhitelist.includes(property);
 
         if (!allowed && typeof inputOptions[property] === 'object') {
             // Check for nested properties
             for (const nestedProp of Object.keys(inputOptions[property])) {
-                const nestedAllowed = whitelist.includes(`${property}.${nestedProp}`);
+                const nestedAllowed = clientWhitelist.includes(`${property}.${nestedProp}`);
                 if (nestedAllowed) {
                     outputOptions[property] = outputOptions[property] || {};
                     outputOptions[property][nestedProp] = inputOptions[property][nestedProp];
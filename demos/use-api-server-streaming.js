@@ -43,6 +43,11 @@ try {
                 console.log(result);
                 return;
             }
+            if (message.event) {
+                // e.g. the `citations` and `suggestions` of BingAIClient
+                console.log(message.event, JSON.parse(message.data));
+                return;
+            }
             console.log(message);
             reply += JSON.parse(message.data);
         },
@@ -34,11 +34,10 @@ let response = await bingAIClient.sendMessage('Write a short poem about cats', {
 });
 console.log(JSON.stringify(response, null, 2)); // {"jailbreakConversationId":false,"conversationId":"...","conversationSignature":"...","clientId":"...","invocationId":1,"messageId":"...","conversationExpiryTime":"2023-03-08T03:20:07.324908Z","response":"Here is a short poem about cats that I wrote: ... I hope you like it. 😊","details":{ /* raw response... */ }}
 
+// The conversation's signature, client ID and invocation ID are stored with it, so its ID is enough to continue it.
+// If it has expired, a new conversation is started and `response.expiredConversationId` is set.
 response = await bingAIClient.sendMessage('Now write it in French', {
-    conversationSignature: response.conversationSignature,
     conversationId: response.conversationId,
-    clientId: response.clientId,
-    invocationId: response.invocationId,
     onProgress: (token) => {
         process.stdout.write(token);
     },
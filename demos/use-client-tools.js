@@ -0,0 +1,56 @@
+// import { ChatGPTClient } from '@waylaidwanderer/chatgpt-api';
+import { ChatGPTClient } from '../index.js';
+
+const chatGptClient = new ChatGPTClient('OPENAI_API_KEY', {
+    modelOptions: {
+        // Tools are only supported by chat models that support OpenAI's tool calling.
+        model: 'gpt-3.5-turbo',
+    },
+});
+
+// Each tool is described to the model with a name, a description and a JSON schema of its parameters.
+// When the model calls a tool, its `handler` is called with the parsed arguments, and whatever it returns
+// (serialized as JSON if it's not a string) is sent back to the model as the result.
+const tools = [
+    {
+        name: 'get_current_weather',
+        description: 'Get the current weather in a given city.',
+        parameters: {
+            type: 'object',
+            properties: {
+                city: {
+                    type: 'string',
+                    description: 'The city, e.g. San Francisco',
+                },
+            },
+            required: ['city'],
+        },
+        handler: async ({ city }) => ({ city, temperature: 22, unit: 'celsius' }),
+    },
+];
+
+let response = await chatGptClient.sendMessage('What is the weather like in Paris?', {
+    tools,
+    // (Optional) The maximum number of times the model can call tools before it must reply. (Default: 10)
+    // maxToolRounds: 10,
+    // Tool calls and their results are sent to `onProgress` as `{ type: 'tool_call', ... }` and `{ type: 'tool_result', ... }` objects,
+    // in between the tokens of the reply. `response.response` is only the text after the last tool call; text the model
+    // streamed before calling tools is returned as the `message` of those tool calls.
+    onProgress: (token) => {
+        if (typeof token === 'string') {
+            process.stdout.write(token);
+        } else {
+            console.log(token);
+        }
+    },
+});
+console.log();
+console.log(response.toolCalls); // [ { id: '...', name: 'get_current_weather', arguments: '{"city":"Paris"}', message: '...', result: '{"city":"Paris",...}' } ]
+
+// The tool calls and results are stored in the conversation, so follow-up messages keep the context.
+response = await chatGptClient.sendMessage('And what should I wear?', {
+    conversationId: response.conversationId,
+    parentMessageId: response.messageId,
+    tools,
+});
+console.log(response.response);
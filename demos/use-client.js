@@ -25,6 +25,14 @@ const clientOptions = {
     // (Optional) You might want to lower this to save money if using a paid model like `text-davinci-003`.
     // Earlier messages will be dropped until the prompt is within the limit.
     // maxPromptTokens: 3097,
+    // (Optional) How to fit long conversations in `maxPromptTokens`. Can also be set per message in `sendMessage()`'s options.
+    // "sliding" (default) drops the oldest messages, "pinFirst" always keeps the first `pinnedMessageCount` messages (default: 2),
+    // and "summarize" replaces the dropped messages with a summary of up to `summaryMaxTokens` tokens (default: 256),
+    // generated by an additional completion and cached on the conversation.
+    // contextStrategy: 'summarize',
+    // (Optional) Set to "messages" to send each message of the conversation with its own role (user, assistant, system)
+    // instead of as a single transcript. Only supported by chat models like `gpt-3.5-turbo` and `gpt-4`. (Default: "transcript")
+    // promptFormat: 'messages',
     // (Optional) Set custom instructions instead of "You are ChatGPT...".
     // promptPrefix: 'You are Bob, a cowboy in Western times...',
     // (Optional) Set a custom name for the user
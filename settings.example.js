@@ -6,6 +6,31 @@ export default {
     // If set, `ChatGPTClient` and `BingAIClient` will use `keyv-file` to store conversations to this JSON file instead of in memory.
     // However, `cacheOptions.store` will override this if set
     storageFilePath: process.env.STORAGE_FILE_PATH || './cache.json',
+    // (Optional) A directory of persona files (JSON or YAML), selected with the `persona` parameter of POST /conversation
+    // or the CLI's `!persona` command. See `src/PersonaLibrary.js` for the format.
+    // personasDir: './personas',
+    // (Optional) Retrieval: index markdown, text and PDF files in collections (managed with the /collections endpoints),
+    // and add the chunks that are the most relevant to a message to its prompt, with the `collection` parameter of
+    // POST /conversation. Replies cite the chunks they use as [1], [2]..., listed in the result's `sources`.
+    // Only supported by `ChatGPTClient` and the provider clients (except for embeddings, see `client`).
+    // retrieval: {
+    //     // The client to get embeddings from: "chatgpt", "azure", "ollama" or "openai-compatible". (Default: "chatgpt")
+    //     client: 'chatgpt',
+    //     // (Optional) (Default: "text-embedding-3-small", or "nomic-embed-text" for Ollama)
+    //     embeddingModel: 'text-embedding-3-small',
+    //     // The directory collections are stored in, as JSON files. (Default: "./collections")
+    //     storeDir: './collections',
+    //     // (Optional) A directory the server may index files from, with the `path` parameter of
+    //     // POST /collections/:name/documents. Without it, documents can only be uploaded.
+    //     documentsDir: './docs',
+    //     // (Optional) The maximum number of tokens per chunk, and the number of tokens consecutive chunks share.
+    //     chunkSize: 400,
+    //     chunkOverlap: 50,
+    //     // (Optional) The number of chunks to retrieve per message, and the maximum number of tokens they can use
+    //     // in the prompt. Older messages are dropped to make room for them.
+    //     topK: 4,
+    //     maxTokens: 1000,
+    // },
     chatGptClient: {
         // Your OpenAI API key (for `ChatGPTClient`)
         openaiApiKey: process.env.OPENAI_API_KEY || '',
@@ -25,6 +50,20 @@ export default {
         // (Optional) You might want to lower this to save money if using a paid model like `text-davinci-003`.
         // Earlier messages will be dropped until the prompt is within the limit.
         // maxPromptTokens: 3097,
+        // (Optional) How to fit long conversations in `maxPromptTokens`. Can also be set per message in `sendMessage()`'s options.
+        // "sliding" (default) drops the oldest messages, "pinFirst" always keeps the first `pinnedMessageCount` messages (default: 2),
+        // and "summarize" replaces the dropped messages with a summary of up to `summaryMaxTokens` tokens (default: 256),
+        // generated by an additional completion and cached on the conversation.
+        // contextStrategy: 'summarize',
+        // (Optional) The model of the summaries of `contextStrategy: 'summarize'`, e.g. a cheaper model of the same provider.
+        // (Default: `modelOptions.model`)
+        // summaryModel: 'gpt-4o-mini',
+        // (Optional) Set to "messages" to send each message of the conversation with its own role (user, assistant, system)
+        // instead of as a single transcript. Only supported by chat models like `gpt-3.5-turbo` and `gpt-4`. (Default: "transcript")
+        // promptFormat: 'messages',
+        // (Optional) The API to send completions to: "openai" (default), "azure", "anthropic", "ollama" or "openai-compatible".
+        // The other providers are easier to use as separate clients, configured below.
+        // provider: 'openai',
         // (Optional) Set custom instructions instead of "You are ChatGPT...".
         // (Optional) Set a custom name for the user
         // userLabel: 'User',
@@ -33,6 +72,21 @@ export default {
         // promptPrefix: 'You are Bob, a cowboy in Western times...',
         // A proxy string like "http://<ip>:<port>"
         proxy: '',
+        // (Optional) Retry completions that fail with HTTP 429 or 5xx, before any tokens have been streamed.
+        // The delay doubles after each retry (with some randomness), or follows the API's `Retry-After` header.
+        // Set to `false` to disable. (Default: { maxRetries: 2, initialDelay: 1000, factor: 2, maxDelay: 30000 })
+        // retry: { maxRetries: 2, initialDelay: 1000, factor: 2, maxDelay: 30000 },
+        // (Optional) Prices in USD per million tokens, used to estimate the cost in `usage`, in addition to the
+        // default prices in `src/pricing.js`. Models are matched by the longest name they start with.
+        // prices: { 'gpt-4o': { prompt: 2.5, completion: 10 } },
+        // (Optional) Cache completions, so that identical prompts with identical model options (e.g. `temperature: 0`)
+        // get the cached reply instead of calling the API again. Stored in the "<namespace>-completions" namespace of
+        // `cacheOptions`, for `ttl` milliseconds. Results served from the cache have `fromCache: true`. (Default: disabled)
+        // completionCache: { ttl: 24 * 60 * 60 * 1000 },
+        // (Optional) The model for embeddings (see `retrieval`), and the URL of the embeddings endpoint, which defaults to
+        // `reverseProxyUrl` with "/embeddings" instead of "/chat/completions".
+        // embeddingModel: 'text-embedding-3-small',
+        // embeddingsUrl: 'https://api.openai.com/v1/embeddings',
         // (Optional) Set to true to enable `console.debug()` logging
         debug: false,
     },
@@ -46,6 +100,9 @@ export default {
         cookies: '',
         // A proxy string like "http://<ip>:<port>"
         proxy: '',
+        // (Optional) Retry messages when Bing closes the connection with "allowReconnect" before replying.
+        // Takes the same options as `chatGptClient.retry`. Set to `false` to disable.
+        // retry: { maxRetries: 2 },
         // (Optional) Set 'x-forwarded-for' for the request. You can use a fixed IPv4 address or specify a range using CIDR notation,
         // and the program will randomly select an address within that range. The 'x-forwarded-for' is not used by default now.
         // xForwardedFor: '13.104.0.0/14',
@@ -91,14 +148,86 @@ export default {
         // (Optional) Set to true to enable `console.debug()` logging
         debug: false,
     },
+    // Options for `ChatGPTClient` with other providers, used by the "azure", "anthropic", "ollama" and "openai-compatible"
+    // clients. They take the same options as `chatGptClient` above (`modelOptions`, `maxContextTokens`, `promptPrefix`...),
+    // with `apiKey` instead of `openaiApiKey`. Each of these clients stores its conversations separately.
+    azureOpenAiClient: {
+        apiKey: process.env.AZURE_OPENAI_API_KEY || '',
+        azure: {
+            // Requests are sent to https://<resourceName>.openai.azure.com/openai/deployments/<deploymentName>/...
+            resourceName: '',
+            // (Optional) Defaults to `modelOptions.model`.
+            // deploymentName: 'gpt-35-turbo',
+            // (Optional) The deployment for embeddings (see `retrieval`). Defaults to the embedding model name.
+            // embeddingDeploymentName: 'text-embedding-3-small',
+            // (Optional) (Default: "2024-02-01")
+            // apiVersion: '2024-02-01',
+        },
+        modelOptions: {
+            // Used to choose the tokenizer and whether the deployment is a chat model.
+            model: 'gpt-3.5-turbo',
+        },
+    },
+    anthropicClient: {
+        apiKey: process.env.ANTHROPIC_API_KEY || '',
+        modelOptions: {
+            model: 'claude-3-5-sonnet-latest',
+        },
+        // Tokens are estimated with OpenAI's tokenizer, so leave some margin below the model's context window.
+        maxContextTokens: 100000,
+    },
+    ollamaClient: {
+        // (Optional) (Default: "http://localhost:11434")
+        // baseUrl: 'http://localhost:11434',
+        modelOptions: {
+            model: 'llama3',
+        },
+        // Also sent to Ollama as the context window (`num_ctx`).
+        maxContextTokens: 8192,
+    },
+    openaiCompatibleClient: {
+        // The base URL of any server implementing OpenAI's chat completions API, e.g. LM Studio, vLLM or llama.cpp.
+        baseUrl: 'http://localhost:1234/v1',
+        // (Optional)
+        apiKey: '',
+        modelOptions: {
+            model: 'local-model',
+        },
+    },
     // Options for the API server
     apiOptions: {
         port: process.env.API_PORT || 3000,
         host: process.env.API_HOST || 'localhost',
         // (Optional) Set to true to enable `console.debug()` logging
         debug: false,
-        // (Optional) Possible options: "chatgpt", "chatgpt-browser", "bing". (Default: "chatgpt")
+        // (Optional) Possible options: "chatgpt", "chatgpt-browser", "bing", "azure", "anthropic", "ollama", "openai-compatible".
+        // (Default: "chatgpt")
         clientToUse: 'chatgpt',
+        // (Optional) Clients to try in order if the client for a message fails before any tokens have been streamed,
+        // e.g. because its API is down. Used by POST /conversation (not by regenerate and edit) and POST /v1/chat/completions.
+        // The fallback client starts a new conversation with the previous messages as context, and the result's `client`
+        // property (or `model` for /v1/chat/completions) is set to the client that answered.
+        // fallbackClients: ['chatgpt-browser'],
+        // (Optional) Options for batch jobs (POST /batches).
+        // batches: {
+        //     // The directory to write the results files to. (Default: "./batches")
+        //     resultsDir: './batches',
+        //     // The default and maximum number of messages a job sends at the same time. (Default: 4 and 16)
+        //     concurrency: 4,
+        //     maxConcurrency: 16,
+        // },
+        // (Optional) Streamed messages keep generating for `gracePeriod` milliseconds after the client disconnects, and can be
+        // resumed by reconnecting with the `Last-Event-ID` header. Set to `false` to abort them as soon as the client disconnects.
+        // resumableStreams: { gracePeriod: 30000 },
+        // (Optional) How often to ping /ws connections, in milliseconds. Connections that didn't answer the previous ping are
+        // closed, which cancels their messages. (Default: 30000)
+        // webSocketPingInterval: 30000,
+        // (Optional) Set to `true` to serve Prometheus metrics at GET /metrics. Without `auth`, anyone who can reach the server
+        // can read them. (Default: disabled)
+        // metrics: true,
+        // (Optional) Set to "json" to log every request to stdout as a line of JSON, with the client that handled
+        // message requests and their error (e.g. `"errorName": "UnauthorizedRequest"` when Bing rejects the cookies).
+        // accessLog: 'json',
         // (Optional) Generate titles for each conversation for clients that support it (only ChatGPTClient for now).
         // This will be returned as a `title` property in the first response of the conversation.
         generateTitles: false,
@@ -123,10 +252,42 @@ export default {
                 'modelOptions.temperature',
             ],
         },
+        // (Optional) Require an API key for every request except GET /ping. Requests without a valid key get a 401 response.
+        // To disable, set to `null`.
+        auth: null,
+        // auth: {
+        //     // (Optional) Path to a JSON file containing an array of keys in the same format as `keys` below.
+        //     keysFile: './api-keys.json',
+        //     keys: [
+        //         {
+        //             // A name for the key, used to track its quotas.
+        //             name: 'my-frontend',
+        //             // The SHA-256 hash (hex) of the key. Clients send the key itself as `Authorization: Bearer <key>`.
+        //             // Generate one with: node -e "console.log(require('crypto').createHash('sha256').update('<key>').digest('hex'))"
+        //             hash: '',
+        //             // (Optional) The clients this key may use. All clients are allowed if not set.
+        //             clients: ['chatgpt'],
+        //             // (Optional) Overrides `perMessageClientOptionsWhitelist` above for this key. Set to `null` to disable per-message options.
+        //             perMessageClientOptionsWhitelist: null,
+        //             // (Optional) Daily limits, reset at midnight UTC. Requests over a limit get a 429 response.
+        //             quotas: {
+        //                 requestsPerDay: 1000,
+        //                 tokensPerDay: 200000,
+        //             },
+        //         },
+        //     ],
+        // },
     },
     // Options for the CLI app
     cliOptions: {
-        // (Optional) Possible options: "chatgpt", "bing".
+        // (Optional) Possible options: "chatgpt", "chatgpt-browser", "bing", "azure", "anthropic", "ollama", "openai-compatible".
+        // Use the `!client` command to switch clients during a session.
         // clientToUse: 'bing',
+        // (Optional) Set to `false` to start Bing conversations outside of jailbreak mode. They are stored with their
+        // signature, so `!history` and `!resume` can continue them until Bing expires them. (Default: true)
+        // bingJailbreak: false,
+        // (Optional) Generate titles for new conversations, and for untitled conversations listed by `!history`
+        // (only ChatGPTClient for now). Each title costs a completion.
+        // generateTitles: false,
     },
 };
@@ -0,0 +1,267 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import Keyv from 'keyv';
+
+/**
+ * Runs batch jobs: JSONL files of `sendMessage()` requests, sent with bounded concurrency and an optional rate limit.
+ * Jobs and their input are stored in Keyv (in the "batches" namespace by default), and results are appended to a JSONL
+ * file as they complete, so a job that was interrupted (e.g. by a crash) can be resumed with `runJob()`: lines that
+ * already have a result are skipped.
+ *
+ * Each input line is an object with a `message` and any of `id` (your own ID, copied to the result),
+ * `conversationId`, `parentMessageId`, `jailbreakConversationId`, `systemMessage`, `context`, `toneStyle`
+ * and `clientOptions`. Each result line has the `line` number of its input (starting at 1), its `id`,
+ * a `status` of "succeeded" or "failed", and the `result` of `sendMessage()` or the `error` message.
+ */
+export default class BatchRunner {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.resultsDir] The directory to write results files to. (Default: `./batches`)
+     * @param {Object} [cacheOptions] Keyv options for storing jobs.
+     */
+    constructor(options = {}, cacheOptions = {}) {
+        this.options = options;
+        this.jobsCache = new Keyv({ ...cacheOptions, namespace: cacheOptions.namespace || 'batches' });
+        // the jobs running in this process, by ID
+        this.runningJobs = new Map();
+    }
+
+    /**
+     * Parse and validate a JSONL file of requests. Empty lines are skipped, but still count towards line numbers.
+     * @param {string} content
+     * @returns {{line: number, request: Object}[]}
+     */
+    static parseInput(content) {
+        const requests = [];
+        content.split(/\r?\n/).forEach((text, index) => {
+            if (!text.trim()) {
+                return;
+            }
+            let request;
+            try {
+                request = JSON.parse(text);
+            } catch {
+                throw new Error(`Line ${index + 1} is not valid JSON.`);
+            }
+            if (!request || typeof request !== 'object' || Array.isArray(request)) {
+                throw new Error(`Line ${index + 1} must be a JSON object.`);
+            }
+            if (typeof request.message !== 'string' || !request.message) {
+                throw new Error(`Line ${index + 1} is missing the message parameter.`);
+            }
+            requests.push({ line: index + 1, request });
+        });
+        if (requests.length === 0) {
+            throw new Error('The batch file has no requests.');
+        }
+        return requests;
+    }
+
+    /**
+     * Create a job, to be started with `runJob()`.
+     * @param {{line: number, request: Object}[]} requests As returned by `parseInput()`.
+     * @param {Object} [opts]
+     * @param {string} [opts.client] The name of the client to send the messages with.
+     * @param {number} [opts.concurrency] The number of messages to send at the same time. (Default: 4)
+     * @param {number} [opts.requestsPerMinute] The maximum number of messages to start per minute. (Default: no limit)
+     * @param {string} [opts.resultsFile] (Default: `<resultsDir>/<job ID>.results.jsonl`)
+     * @param {Object} [opts.metadata] Any other properties to store on the job.
+     * @returns {Promise<Object>} The job.
+     */
+    async createJob(requests, opts = {}) {
+        const id = crypto.randomUUID();
+        const job = {
+            ...opts.metadata,
+            id,
+            status: 'pending',
+            client: opts.client || null,
+            concurrency: Math.max(1, Math.floor(opts.concurrency || 4)),
+            requestsPerMinute: opts.requestsPerMinute || null,
+            resultsFile: opts.resultsFile || `${this.options.resultsDir || './batches'}/${id}.results.jsonl`,
+            total: requests.length,
+            succeeded: 0,
+            failed: 0,
+            createdAt: Date.now(),
+            startedAt: null,
+            completedAt: null,
+        };
+        // the input is stored separately, so that reading the job stays cheap
+        await this.jobsCache.set(`${id}:input`, requests);
+        await this.jobsCache.set(id, job);
+        const jobIds = (await this.jobsCache.get('jobs')) || [];
+        await this.jobsCache.set('jobs', [...jobIds, id]);
+        return job;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|undefined>}
+     */
+    async getJob(id) {
+        return this.jobsCache.get(id);
+    }
+
+    /**
+     * Get the IDs of jobs that haven't completed, e.g. to resume them after a restart.
+     * @returns {Promise<string[]>}
+     */
+    async getUnfinishedJobIds() {
+        const jobIds = (await this.jobsCache.get('jobs')) || [];
+        const jobs = await Promise.all(jobIds.map(id => this.getJob(id)));
+        return jobs
+            .filter(job => job && (job.status === 'pending' || job.status === 'running'))
+            .map(job => job.id);
+    }
+
+    /**
+     * Read the results of a job written so far, in the order they completed.
+     * @param {Object} job
+     * @returns {Promise<Object[]>}
+     */
+    static async getResults(job) {
+        let content;
+        try {
+            content = await fs.promises.readFile(job.resultsFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        return content.split('\n')
+            .map((text) => {
+                try {
+                    return JSON.parse(text);
+                } catch {
+                    // an empty line, or a line cut off by a crash
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Run a job, or resume it if it was interrupted. Resolves when every request has a result.
+     * If the job is already running in this process, the running job's promise is returned instead.
+     * @param {string} id
+     * @param {function(Object, Object): Promise<Object>} sendMessage Called with the request and the job.
+     * Returns the result of `sendMessage()`.
+     * @param {Object} [opts]
+     * @param {function(Object, Object): void} [opts.onResult] Called with each result line and the updated job.
+     * @returns {Promise<Object>} The completed job.
+     */
+    async runJob(id, sendMessage, opts = {}) {
+        if (this.runningJobs.has(id)) {
+            return this.runningJobs.get(id);
+        }
+        const jobPromise = this.runRequests(id, sendMessage, opts)
+            .finally(() => this.runningJobs.delete(id));
+        this.runningJobs.set(id, jobPromise);
+        return jobPromise;
+    }
+
+    async runRequests(id, sendMessage, { onResult = null } = {}) {
+        const job = await this.getJob(id);
+        if (!job) {
+            throw new Error(`Batch job ${id} not found.`);
+        }
+        if (job.status === 'completed') {
+            return job;
+        }
+        const requests = (await this.jobsCache.get(`${id}:input`)) || [];
+
+        // lines with a result were completed before the job was interrupted
+        const results = await this.constructor.getResults(job);
+        const completedLines = new Set(results.map(result => result.line));
+        job.succeeded = results.filter(result => result.status === 'succeeded').length;
+        job.failed = results.length - job.succeeded;
+        job.status = 'running';
+        job.startedAt = job.startedAt || Date.now();
+        await this.jobsCache.set(id, job);
+        await prepareResultsFile(job.resultsFile);
+
+        const queue = requests.filter(({ line }) => !completedLines.has(line));
+        const waitForRateLimit = createRateLimiter(job.requestsPerMinute);
+        const worker = async () => {
+            while (queue.length > 0) {
+                const { line, request } = queue.shift();
+                // eslint-disable-next-line no-await-in-loop
+                await waitForRateLimit();
+                let resultLine;
+                try {
+                    // eslint-disable-next-line no-await-in-loop
+                    const result = await sendMessage(request, job);
+                    resultLine = {
+                        line,
+                        id: request.id ?? null,
+                        status: 'succeeded',
+                        result,
+                    };
+                    job.succeeded += 1;
+                } catch (error) {
+                    resultLine = {
+                        line,
+                        id: request.id ?? null,
+                        status: 'failed',
+                        error: error?.data?.message || error?.message || 'An unknown error occurred.',
+                    };
+                    job.failed += 1;
+                }
+                // eslint-disable-next-line no-await-in-loop
+                await fs.promises.appendFile(job.resultsFile, `${JSON.stringify(resultLine)}\n`);
+                // eslint-disable-next-line no-await-in-loop
+                await this.jobsCache.set(id, job);
+                if (typeof onResult === 'function') {
+                    onResult(resultLine, job);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(job.concurrency, queue.length) }, worker));
+
+        job.status = 'completed';
+        job.completedAt = Date.now();
+        await this.jobsCache.set(id, job);
+        return job;
+    }
+}
+
+/**
+ * Make sure the results file and its directory exist, and that the next result starts on a new line
+ * (the last line may have been cut off by a crash).
+ * @param {string} resultsFile
+ */
+async function prepareResultsFile(resultsFile) {
+    const dir = resultsFile.split('/').slice(0, -1).join('/');
+    if (dir) {
+        await fs.promises.mkdir(dir, { recursive: true });
+    }
+    let content = '';
+    try {
+        content = await fs.promises.readFile(resultsFile, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+    if (content && !content.endsWith('\n')) {
+        await fs.promises.appendFile(resultsFile, '\n');
+    }
+}
+
+/**
+ * @param {number|null} requestsPerMinute
+ * @returns {function(): Promise<void>} Resolves when the next request may start.
+ */
+function createRateLimiter(requestsPerMinute) {
+    if (!requestsPerMinute) {
+        return async () => {};
+    }
+    const interval = 60000 / requestsPerMinute;
+    let nextStartTime = 0;
+    return () => {
+        const now = Date.now();
+        const startTime = Math.max(now, nextStartTime);
+        nextStartTime = startTime + interval;
+        return new Promise(resolve => setTimeout(resolve, startTime - now));
+    };
+}
@@ -5,6 +5,7 @@ import Keyv from 'keyv';
 import { Agent, ProxyAgent } from 'undici';
 import { HttpsProxyAgent } from 'https-proxy-agent';
 import { BingImageCreator } from '@timefox/bic-sydney';
+import { withRetry } from './retry.js';
 
 /**
  * https://stackoverflow.com/a/58326357
@@ -12,6 +13,9 @@ import { BingImageCreator } from '@timefox/bic-sydney';
  */
 const genRanHex = size => [...Array(size)].map(() => Math.floor(Math.random() * 16).toString(16)).join('');
 
+// the types of the messages Bing sends about what it's doing while it prepares a reply
+const internalMessageTypes = ['InternalSearchQuery', 'InternalSearchResult', 'InternalLoaderMessage'];
+
 export default class BingAIClient {
     constructor(options) {
         if (options.keyv) {
@@ -366,12 +370,13 @@ export default class BingAIClient {
             conversationId,
             encryptedConversationSignature,
             clientId,
+            invocationId = 0,
             onProgress,
+            onEvent,
         } = opts;
 
         const {
             toneStyle = this.options.toneStyle,
-            invocationId = 0,
             systemMessage,
             context,
             parentMessageId = jailbreakConversationId === true ? crypto.randomUUID() : null,
@@ -381,6 +386,33 @@ export default class BingAIClient {
         if (typeof onProgress !== 'function') {
             onProgress = () => { };
         }
+        if (typeof onEvent !== 'function') {
+            onEvent = () => { };
+        }
+
+        // Conversations that aren't in jailbreak mode are stored under Bing's conversation ID with their signature,
+        // so they can be resumed by their ID alone, until Bing expires them.
+        let expiredConversationId = null;
+        if (!jailbreakConversationId && conversationId) {
+            const storedConversation = await this.conversationsCache.get(conversationId);
+            if (storedConversation) {
+                encryptedConversationSignature = encryptedConversationSignature || storedConversation.encryptedConversationSignature;
+                clientId = clientId || storedConversation.clientId;
+                if (opts.invocationId === undefined) {
+                    ({ invocationId } = storedConversation);
+                }
+            }
+            if (this.constructor.isConversationExpired(storedConversation)) {
+                if (this.debug) {
+                    console.debug(`Conversation ${conversationId} expired at ${storedConversation.conversationExpiryTime}, starting a new conversation.`);
+                }
+                expiredConversationId = conversationId;
+                conversationId = null;
+                encryptedConversationSignature = null;
+                clientId = null;
+                invocationId = 0;
+            }
+        }
 
         if (jailbreakConversationId || !encryptedConversationSignature || !conversationId || !clientId) {
             const createNewConversationResponse = await this.createNewConversation();
@@ -415,16 +447,14 @@ export default class BingAIClient {
             jailbreakConversationId = crypto.randomUUID();
         }
 
-        const conversationKey = jailbreakConversationId;
+        const conversationKey = jailbreakConversationId || conversationId;
+        const conversation = (await this.conversationsCache.get(conversationKey)) || {
+            messages: [],
+            createdAt: Date.now(),
+        };
 
         let previousMessagesFormatted;
-        let conversation;
         if (jailbreakConversationId) {
-            conversation = (await this.conversationsCache.get(conversationKey)) || {
-                messages: [],
-                createdAt: Date.now(),
-            };
-
             // TODO: limit token usage
             const previousCachedMessages = this.constructor.getMessagesForConversation(conversation.messages, parentMessageId)
                 .map(conversationMessage => ({
@@ -466,21 +496,14 @@ export default class BingAIClient {
 
         const userMessage = {
             id: crypto.randomUUID(),
-            parentMessageId,
+            // Bing keeps the history of conversations that aren't in jailbreak mode, so they can't branch
+            parentMessageId: jailbreakConversationId
+                ? parentMessageId
+                : conversation.messages[conversation.messages.length - 1]?.id || null,
             role: 'User',
             message,
         };
-
-        if (jailbreakConversationId) {
-            conversation.messages.push(userMessage);
-        }
-
-        const ws = await this.createWebSocketConnection(encryptedConversationSignature);
-
-        ws.on('error', (error) => {
-            console.error(error);
-            abortController.abort();
-        });
+        conversation.messages.push(userMessage);
 
         let toneOption;
         if (toneStyle === 'creative') {
@@ -573,213 +596,274 @@ export default class BingAIClient {
             delete obj.arguments[0].previousMessages;
         }
 
-        const messagePromise = new Promise((resolve, reject) => {
-            let replySoFar = '';
-            let stopTokenFound = false;
-
-            const messageTimeout = setTimeout(() => {
-                this.constructor.cleanupWebSocketConnection(ws);
-                reject(new Error('Timed out waiting for response. Try enabling debug mode to see more information.'));
-            }, 300 * 1000);
+        // Bing sometimes closes the connection with "allowReconnect" before replying, in which case the message is sent
+        // again on a new connection (see `src/retry.js`), unless part of the reply has already been sent to `onProgress`.
+        let hasStreamed = false;
+        const onReplyProgress = onProgress;
+        onProgress = (token) => {
+            hasStreamed = true;
+            onReplyProgress(token);
+        };
+        const sendOnWebSocket = async () => {
+            const ws = await this.createWebSocketConnection(encryptedConversationSignature);
 
-            // abort the request if the abort controller is aborted
-            abortController.signal.addEventListener('abort', () => {
-                clearTimeout(messageTimeout);
-                this.constructor.cleanupWebSocketConnection(ws);
-                reject(new Error('Request aborted'));
+            ws.on('error', (error) => {
+                console.error(error);
+                abortController.abort();
             });
 
-            let bicContent;
-            ws.on('message', async (data) => {
-                const objects = data.toString().split('');
-                const events = objects.map((object) => {
-                    try {
-                        return JSON.parse(object);
-                    } catch (error) {
-                        return object;
-                    }
-                }).filter(eventMessage => eventMessage);
-                if (events.length === 0) {
-                    return;
-                }
-                const event = events[0];
-                switch (event.type) {
-                    case 1: {
-                        if (stopTokenFound) {
-                            return;
-                        }
-                        const messages = event?.arguments?.[0]?.messages;
-                        if (!messages?.length || messages[0].author !== 'bot') {
-                            return;
-                        }
-                        if (messages[0].contentOrigin === 'Apology') {
-                            return;
-                        }
-                        if (messages[0]?.contentType === 'IMAGE') {
-                            // You will never get a message of this type without 'gencontentv3' being on.
-                            if (this.bic.type === 'iframe') {
-                                bicContent = this.bic.api.genImageIframeSsr(
-                                    messages[0].text,
-                                    messages[0].messageId,
-                                    progress => (progress?.contentIframe ? onProgress(progress?.contentIframe) : null),
-                                ).catch((error) => {
-                                    onProgress(error.message);
-                                    bicContent.isError = true;
-                                    return error.message;
-                                });
-                            } else {
-                                bicContent = this.bic.api.genImageList(
-                                    messages[0].text,
-                                    messages[0].messageId,
-                                    false,
-                                    () => onProgress('.'),
-                                ).catch((error) => {
-                                    onProgress(error.message);
-                                    bicContent.isError = true;
-                                    delete bicContent.isList;
-                                    return error.message;
-                                });
-                                bicContent.isList = true;
-                                bicContent.useMarkdown = this.bic.type === 'markdown_list';
-                            }
-                            bicContent.prompt = messages[0].text;
-                            return;
+            const messagePromise = new Promise((resolve, reject) => {
+                let replySoFar = '';
+                let stopTokenFound = false;
+
+                const messageTimeout = setTimeout(() => {
+                    this.constructor.cleanupWebSocketConnection(ws);
+                    reject(new Error('Timed out waiting for response. Try enabling debug mode to see more information.'));
+                }, 300 * 1000);
+
+                // abort the request if the abort controller is aborted
+                abortController.signal.addEventListener('abort', () => {
+                    clearTimeout(messageTimeout);
+                    this.constructor.cleanupWebSocketConnection(ws);
+                    reject(new Error('Request aborted'));
+                });
+
+                let bicContent;
+                const searchQueries = new Set();
+                ws.on('message', async (data) => {
+                    const objects = data.toString().split('');
+                    const events = objects.map((object) => {
+                        try {
+                            return JSON.parse(object);
+                        } catch (error) {
+                            return object;
                         }
-                        const updatedText = messages[0].text;
-                        if (!updatedText || updatedText === replySoFar) {
-                            return;
-                        }
-                        // get the difference between the current text and the previous text
-                        const difference = updatedText.substring(replySoFar.length);
-                        onProgress(difference);
-                        if (updatedText.trim().endsWith(stopToken)) {
-                            stopTokenFound = true;
-                            // remove stop token from updated text
-                            replySoFar = updatedText.replace(stopToken, '').trim();
-                            return;
-                        }
-                        replySoFar = updatedText;
+                    }).filter(eventMessage => eventMessage);
+                    if (events.length === 0) {
                         return;
                     }
-                    case 2: {
-                        clearTimeout(messageTimeout);
-                        this.constructor.cleanupWebSocketConnection(ws);
-                        if (event.item?.result?.value === 'InvalidSession') {
-                            reject(new Error(`${event.item.result.value}: ${event.item.result.message}`));
-                            return;
-                        }
-                        const messages = event.item?.messages || [];
-                        let eventMessage = messages.length ? messages[messages.length - 1] : null;
-                        if (event.item?.result?.error) {
-                            if (this.debug) {
-                                console.debug(event.item.result.value, event.item.result.message);
-                                console.debug(event.item.result.error);
-                                console.debug(event.item.result.exception);
+                    const event = events[0];
+                    switch (event.type) {
+                        case 1: {
+                            if (stopTokenFound) {
+                                return;
                             }
-                            if (replySoFar && eventMessage) {
-                                eventMessage.adaptiveCards[0].body[0].text = replySoFar;
-                                eventMessage.text = replySoFar;
-                                resolve({
-                                    message: eventMessage,
-                                    conversationExpiryTime: event?.item?.conversationExpiryTime,
-                                });
+                            const messages = event?.arguments?.[0]?.messages;
+                            if (!messages?.length || messages[0].author !== 'bot') {
                                 return;
                             }
-                            reject(new Error(`${event.item.result.value}: ${event.item.result.message}`));
-                            return;
-                        }
-                        if (!eventMessage) {
-                            reject(new Error('No message was generated.'));
-                            return;
-                        }
-                        if (eventMessage?.author !== 'bot') {
-                            reject(new Error('Unexpected message author.'));
+                            if (messages[0].contentOrigin === 'Apology') {
+                                return;
+                            }
+                            // the steps Bing takes before answering (e.g. "Searching the web for: `cats`") aren't part of the reply
+                            if (internalMessageTypes.includes(messages[0].messageType)) {
+                                const query = messages[0].hiddenText || messages[0].text;
+                                if (messages[0].messageType === 'InternalSearchQuery' && query && !searchQueries.has(query)) {
+                                    searchQueries.add(query);
+                                    onEvent({ type: 'searching', query });
+                                }
+                                return;
+                            }
+                            if (messages[0]?.contentType === 'IMAGE') {
+                                // You will never get a message of this type without 'gencontentv3' being on.
+                                const prompt = messages[0].text;
+                                // Bing Image Creator doesn't report how far along it is, only that it's still generating
+                                const onImageProgress = (progress) => {
+                                    if (progress?.pollingStartTime) {
+                                        onEvent({ type: 'generating_image', prompt, elapsedTime: Date.now() - progress.pollingStartTime });
+                                    }
+                                };
+                                onEvent({ type: 'generating_image', prompt, elapsedTime: 0 });
+                                if (this.bic.type === 'iframe') {
+                                    bicContent = this.bic.api.genImageIframeSsr(
+                                        messages[0].text,
+                                        messages[0].messageId,
+                                        (progress) => {
+                                            onImageProgress(progress);
+                                            return progress?.contentIframe ? onProgress(progress?.contentIframe) : null;
+                                        },
+                                    ).then((result) => {
+                                        // the images are only in the iframe
+                                        onEvent({ type: 'image_ready', prompt, urls: [] });
+                                        return result;
+                                    }).catch((error) => {
+                                        onProgress(error.message);
+                                        bicContent.isError = true;
+                                        return error.message;
+                                    });
+                                } else {
+                                    bicContent = this.bic.api.genImageList(
+                                        messages[0].text,
+                                        messages[0].messageId,
+                                        false,
+                                        (progress) => {
+                                            onImageProgress(progress);
+                                            onProgress('.');
+                                        },
+                                    ).then((urls) => {
+                                        onEvent({ type: 'image_ready', prompt, urls });
+                                        return urls;
+                                    }).catch((error) => {
+                                        onProgress(error.message);
+                                        bicContent.isError = true;
+                                        delete bicContent.isList;
+                                        return error.message;
+                                    });
+                                    bicContent.isList = true;
+                                    bicContent.useMarkdown = this.bic.type === 'markdown_list';
+                                }
+                                bicContent.prompt = messages[0].text;
+                                return;
+                            }
+                            const updatedText = messages[0].text;
+                            if (!updatedText || updatedText === replySoFar) {
+                                return;
+                            }
+                            // get the difference between the current text and the previous text
+                            const difference = updatedText.substring(replySoFar.length);
+                            onProgress(difference);
+                            if (updatedText.trim().endsWith(stopToken)) {
+                                stopTokenFound = true;
+                                // remove stop token from updated text
+                                replySoFar = updatedText.replace(stopToken, '').trim();
+                                return;
+                            }
+                            replySoFar = updatedText;
                             return;
                         }
-                        // The moderation filter triggered, so just return the text we have so far
-                        if (
-                            jailbreakConversationId
-                            && (
-                                stopTokenFound
-                                || event.item.messages[0].topicChangerText
+                        case 2: {
+                            clearTimeout(messageTimeout);
+                            this.constructor.cleanupWebSocketConnection(ws);
+                            if (event.item?.result?.value === 'InvalidSession') {
+                                reject(new Error(`${event.item.result.value}: ${event.item.result.message}`));
+                                return;
+                            }
+                            const messages = event.item?.messages || [];
+                            let eventMessage = messages.length ? messages[messages.length - 1] : null;
+                            if (event.item?.result?.error) {
+                                if (this.debug) {
+                                    console.debug(event.item.result.value, event.item.result.message);
+                                    console.debug(event.item.result.error);
+                                    console.debug(event.item.result.exception);
+                                }
+                                if (replySoFar && eventMessage) {
+                                    eventMessage.adaptiveCards[0].body[0].text = replySoFar;
+                                    eventMessage.text = replySoFar;
+                                    resolve({
+                                        message: eventMessage,
+                                        conversationExpiryTime: event?.item?.conversationExpiryTime,
+                                    });
+                                    return;
+                                }
+                                reject(new Error(`${event.item.result.value}: ${event.item.result.message}`));
+                                return;
+                            }
+                            if (!eventMessage) {
+                                reject(new Error('No message was generated.'));
+                                return;
+                            }
+                            if (eventMessage?.author !== 'bot') {
+                                reject(new Error('Unexpected message author.'));
+                                return;
+                            }
+                            const moderationTriggered = Boolean(
+                                event.item.messages[0].topicChangerText
                                 || event.item.messages[0].offense === 'OffenseTrigger'
-                                || (event.item.messages.length > 1 && event.item.messages[1].contentOrigin === 'Apology')
-                            )
-                        ) {
-                            if (!replySoFar) {
-                                replySoFar = '[Error: The moderation filter triggered. Try again with different wording.]';
+                                || (event.item.messages.length > 1 && event.item.messages[1].contentOrigin === 'Apology'),
+                            );
+                            if (moderationTriggered) {
+                                eventMessage.moderationTriggered = true;
                             }
-                            eventMessage.adaptiveCards[0].body[0].text = replySoFar;
-                            eventMessage.text = replySoFar;
-                            // delete useless suggestions from moderation filter
-                            delete eventMessage.suggestedResponses;
-                        }
-                        if (bicContent) {
-                            // the last messages will be a image creation event if bicContent is present.
-                            let i = messages.length - 1;
-                            while (eventMessage?.contentType === 'IMAGE' && i > 0) {
-                                eventMessage = messages[i -= 1];
+                            // The moderation filter triggered, so just return the text we have so far
+                            if (jailbreakConversationId && (stopTokenFound || moderationTriggered)) {
+                                if (!replySoFar) {
+                                    replySoFar = '[Error: The moderation filter triggered. Try again with different wording.]';
+                                }
+                                eventMessage.adaptiveCards[0].body[0].text = replySoFar;
+                                eventMessage.text = replySoFar;
+                                // delete useless suggestions from moderation filter
+                                delete eventMessage.suggestedResponses;
                             }
+                            if (bicContent) {
+                                // the last messages will be a image creation event if bicContent is present.
+                                let i = messages.length - 1;
+                                while (eventMessage?.contentType === 'IMAGE' && i > 0) {
+                                    eventMessage = messages[i -= 1];
+                                }
 
-                            // wait for bicContent to be completed.
-                            // since we added a catch, we do not need to wrap this with a try catch block.
-                            let bicResult = await bicContent;
-                            let images;
-                            if (bicContent?.isList) {
-                                images = bicResult;
-                                if (bicContent.useMarkdown) {
-                                    bicResult = `${bicResult.map((s, idx) => `![${idx + 1}.${bicContent.prompt}](${s})`).join('\n')}`;
-                                } else {
-                                    bicResult = `${bicResult.map((s, idx) => `${idx + 1}.${s}`).join('\n')}`;
+                                // wait for bicContent to be completed.
+                                // since we added a catch, we do not need to wrap this with a try catch block.
+                                let bicResult = await bicContent;
+                                let images;
+                                if (bicContent?.isList) {
+                                    images = bicResult;
+                                    if (bicContent.useMarkdown) {
+                                        bicResult = `${bicResult.map((s, idx) => `![${idx + 1}.${bicContent.prompt}](${s})`).join('\n')}`;
+                                    } else {
+                                        bicResult = `${bicResult.map((s, idx) => `${idx + 1}.${s}`).join('\n')}`;
+                                    }
+                                } else if (bicResult?.isError) {
+                                    eventMessage.text += `\n${bicResult}`;
                                 }
-                            } else if (bicResult?.isError) {
-                                eventMessage.text += `\n${bicResult}`;
+                                eventMessage.adaptiveCards[0].body[0].text += `\n${bicResult}`;
+                                eventMessage.bic = {
+                                    type: this.bic.type,
+                                    prompt: bicContent.prompt,
+                                    ...(images ? { images } : {}),
+                                    ...(bicContent.isError ? { error: bicResult } : {}),
+                                };
                             }
-                            eventMessage.adaptiveCards[0].body[0].text += `\n${bicResult}`;
-                            eventMessage.bic = {
-                                type: this.bic.type,
-                                prompt: bicContent.prompt,
-                                ...(images ? { images } : {}),
-                            };
+                            resolve({
+                                message: eventMessage,
+                                conversationExpiryTime: event?.item?.conversationExpiryTime,
+                            });
+                            // eslint-disable-next-line no-useless-return
+                            return;
                         }
-                        resolve({
-                            message: eventMessage,
-                            conversationExpiryTime: event?.item?.conversationExpiryTime,
-                        });
-                        // eslint-disable-next-line no-useless-return
-                        return;
-                    }
-                    case 7: {
-                        // [{"type":7,"error":"Connection closed with an error.","allowReconnect":true}]
-                        clearTimeout(messageTimeout);
-                        this.constructor.cleanupWebSocketConnection(ws);
-                        reject(new Error(event.error || 'Connection closed with an error.'));
-                        // eslint-disable-next-line no-useless-return
-                        return;
-                    }
-                    default:
-                        if (event?.error) {
+                        case 7: {
+                            // [{"type":7,"error":"Connection closed with an error.","allowReconnect":true}]
                             clearTimeout(messageTimeout);
                             this.constructor.cleanupWebSocketConnection(ws);
-                            reject(new Error(`Event Type('${event.type}'): ${event.error}`));
+                            const error = new Error(event.error || 'Connection closed with an error.');
+                            error.retryable = Boolean(event.allowReconnect);
+                            reject(error);
+                            // eslint-disable-next-line no-useless-return
+                            return;
                         }
-                        // eslint-disable-next-line no-useless-return
-                        return;
-                }
+                        default:
+                            if (event?.error) {
+                                clearTimeout(messageTimeout);
+                                this.constructor.cleanupWebSocketConnection(ws);
+                                reject(new Error(`Event Type('${event.type}'): ${event.error}`));
+                            }
+                            // eslint-disable-next-line no-useless-return
+                            return;
+                    }
+                });
             });
-        });
 
-        const messageJson = JSON.stringify(obj);
-        if (this.debug) {
-            console.debug(messageJson);
-            console.debug('\n\n\n\n');
-        }
-        ws.send(`${messageJson}`);
+            const messageJson = JSON.stringify(obj);
+            if (this.debug) {
+                console.debug(messageJson);
+                console.debug('\n\n\n\n');
+            }
+            ws.send(`${messageJson}`);
+
+            return messagePromise;
+        };
 
         const {
             message: reply,
             conversationExpiryTime,
-        } = await messagePromise;
+        } = await withRetry(sendOnWebSocket, this.options.retry, {
+            abortController,
+            shouldRetry: () => !hasStreamed,
+            onRetry: (error, retry, delay) => {
+                if (this.debug) {
+                    console.debug(`Reconnecting (retry ${retry}) in ${Math.round(delay)}ms after error:`, error.message);
+                }
+            },
+        });
 
         const replyMessage = {
             id: crypto.randomUUID(),
@@ -788,10 +872,14 @@ export default class BingAIClient {
             message: reply.text,
             details: reply,
         };
-        if (jailbreakConversationId) {
-            conversation.messages.push(replyMessage);
-            await this.conversationsCache.set(conversationKey, conversation);
+        conversation.messages.push(replyMessage);
+        if (!jailbreakConversationId) {
+            conversation.encryptedConversationSignature = encryptedConversationSignature;
+            conversation.clientId = clientId;
+            conversation.invocationId = invocationId + 1;
+            conversation.conversationExpiryTime = conversationExpiryTime || conversation.conversationExpiryTime;
         }
+        await this.conversationsCache.set(conversationKey, conversation);
 
         const returnData = {
             conversationId,
@@ -799,19 +887,83 @@ export default class BingAIClient {
             clientId,
             invocationId: invocationId + 1,
             conversationExpiryTime,
+            parentMessageId: replyMessage.parentMessageId,
+            messageId: replyMessage.id,
             response: reply.text,
             details: reply,
+            citations: this.constructor.getCitations(reply),
+            suggestions: this.constructor.getSuggestions(reply),
         };
+        returnData.markdown = this.constructor.getMarkdown(reply, returnData.citations);
 
         if (jailbreakConversationId) {
             returnData.jailbreakConversationId = jailbreakConversationId;
-            returnData.parentMessageId = replyMessage.parentMessageId;
-            returnData.messageId = replyMessage.id;
+        }
+        if (expiredConversationId) {
+            returnData.expiredConversationId = expiredConversationId;
         }
 
         return returnData;
     }
 
+    /**
+     * @param {Object|null} conversation A stored conversation.
+     * @returns {boolean} Whether Bing no longer accepts messages in the conversation (only known for conversations
+     * that aren't in jailbreak mode).
+     */
+    static isConversationExpired(conversation) {
+        const expiryTime = conversation?.conversationExpiryTime;
+        return Boolean(expiryTime) && new Date(expiryTime).getTime() <= Date.now();
+    }
+
+    /**
+     * Get the sources Bing cited in a reply. Their `index` is the number of the `[^n^]` markers in the reply's text.
+     * @param {Object} reply The reply message (the `details` of the result).
+     * @returns {{index: number, title: string, url: string}[]}
+     */
+    static getCitations(reply) {
+        return (reply?.sourceAttributions || [])
+            .map((source, i) => ({
+                index: i + 1,
+                title: source.providerDisplayName || source.seeMoreUrl,
+                url: source.seeMoreUrl,
+            }))
+            .filter(citation => citation.url);
+    }
+
+    /**
+     * @param {Object} reply The reply message (the `details` of the result).
+     * @returns {string[]} The responses Bing suggests sending next.
+     */
+    static getSuggestions(reply) {
+        return (reply?.suggestedResponses || [])
+            .map(suggestion => suggestion.text)
+            .filter(Boolean);
+    }
+
+    /**
+     * Render a reply as Markdown, with its `[^n^]` markers as footnotes linking to the citations (markers without a
+     * citation are removed), followed by the images Bing generated for it, if any.
+     * @param {Object} reply The reply message (the `details` of the result).
+     * @param {{index: number, title: string, url: string}[]} citations As returned by `getCitations()`.
+     * @returns {string}
+     */
+    static getMarkdown(reply, citations) {
+        const parts = [
+            (reply?.text || '').replace(/\[\^(\d+)\^\]/g, (marker, index) => (
+                citations.some(citation => citation.index === Number(index)) ? `[^${index}]` : ''
+            )),
+        ];
+        const images = reply?.bic?.images || [];
+        if (images.length > 0) {
+            parts.push(images.map((url, i) => `![${i + 1}.${reply.bic.prompt}](${url})`).join('\n'));
+        }
+        if (citations.length > 0) {
+            parts.push(citations.map(citation => `[^${citation.index}]: [${citation.title.replace(/[[\]]/g, '\\$&')}](${citation.url})`).join('\n'));
+        }
+        return parts.join('\n\n');
+    }
+
     /**
      * Iterate through messages, building an array based on the parentMessageId.
      * Each message has an id and a parentMessageId. The parentMessageId is the id of the message that this message is a reply to.
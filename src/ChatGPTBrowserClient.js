@@ -3,6 +3,7 @@ import crypto from 'crypto';
 import Keyv from 'keyv';
 import { fetchEventSource } from '@waylaidwanderer/fetch-event-source';
 import { ProxyAgent } from 'undici';
+import { getSiblingMessages } from './conversation-store.js';
 
 export default class ChatGPTBrowserClient {
     constructor(
@@ -181,23 +182,29 @@ export default class ChatGPTBrowserClient {
     async deleteConversation(conversationId) {
         const url = this.options.reverseProxyUrl || 'https://chat.openai.com/backend-api/conversation';
 
-        // eslint-disable-next-line no-async-promise-executor
-        return new Promise(async (resolve, reject) => {
-            try {
-                await fetch(`${url}/${conversationId}`, {
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/111.0.0.0 Safari/537.36',
-                        'Content-Type': 'application/json',
-                        Authorization: `Bearer ${this.accessToken}`,
-                        Cookie: this.cookies || undefined,
-                    },
-                    body: '{"is_visible":false}',
-                    method: 'PATCH',
-                });
-            } catch (err) {
-                reject(err);
-            }
-        });
+        const opts = {
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/111.0.0.0 Safari/537.36',
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${this.accessToken}`,
+                Cookie: this.cookies || undefined,
+            },
+            body: '{"is_visible":false}',
+            method: 'PATCH',
+        };
+
+        if (this.options.proxy) {
+            opts.dispatcher = new ProxyAgent(this.options.proxy);
+        }
+
+        const response = await fetch(`${url}/${conversationId}`, opts);
+        if (!response.ok) {
+            const body = await response.text();
+            const error = new Error(`Failed to delete conversation. HTTP ${response.status} - ${body}`);
+            error.status = response.status;
+            throw error;
+        }
+        return true;
     }
 
     async sendMessage(
@@ -222,19 +229,28 @@ export default class ChatGPTBrowserClient {
             };
         }
 
-        const userMessage = {
-            id: crypto.randomUUID(),
-            parentMessageId,
-            role: 'User',
-            message,
-        };
-
-        conversation.messages.push(userMessage);
+        // `replyToMessageId` asks for a variant of the reply to an existing user message (see `regenerateMessage()`)
+        let userMessage;
+        if (opts.replyToMessageId) {
+            userMessage = conversation.messages.find(m => m.id === opts.replyToMessageId && m.role === 'User');
+            if (!userMessage) {
+                throw new Error(`User message ${opts.replyToMessageId} not found in conversation ${conversationId}.`);
+            }
+        } else {
+            userMessage = {
+                id: crypto.randomUUID(),
+                parentMessageId,
+                role: 'User',
+                message,
+            };
+            conversation.messages.push(userMessage);
+        }
 
         const result = await this.postConversation(
             {
+                action: opts.replyToMessageId ? 'variant' : 'next',
                 conversationId,
-                parentMessageId,
+                parentMessageId: userMessage.parentMessageId,
                 message: userMessage,
             },
             opts.onProgress || (() => {}),
@@ -270,6 +286,59 @@ export default class ChatGPTBrowserClient {
         };
     }
 
+    /**
+     * Generate a new reply to a user message, stored as a sibling of the existing replies.
+     * @param {string} conversationId
+     * @param {string} messageId The ID of the reply to regenerate, or of the user message to reply to.
+     * @param {Object} opts Any `sendMessage()` options.
+     */
+    async regenerateMessage(conversationId, messageId, opts = {}) {
+        const conversation = await this.conversationsCache.get(conversationId);
+        let userMessage = conversation?.messages.find(m => m.id === messageId);
+        if (userMessage && userMessage.role !== 'User') {
+            userMessage = conversation.messages.find(m => m.id === userMessage.parentMessageId);
+        }
+        if (!userMessage) {
+            throw new Error(`Message ${messageId} not found in conversation ${conversationId}.`);
+        }
+        return this.sendMessage(userMessage.message, {
+            ...opts,
+            conversationId,
+            replyToMessageId: userMessage.id,
+        });
+    }
+
+    /**
+     * Send an edited version of a user message, starting a new branch of the conversation from its parent.
+     * @param {string} conversationId
+     * @param {string} messageId The ID of the user message to edit.
+     * @param {string} message The new message.
+     * @param {Object} opts Any `sendMessage()` options.
+     */
+    async editMessage(conversationId, messageId, message, opts = {}) {
+        const conversation = await this.conversationsCache.get(conversationId);
+        const userMessage = conversation?.messages.find(m => m.id === messageId && m.role === 'User');
+        if (!userMessage) {
+            throw new Error(`User message ${messageId} not found in conversation ${conversationId}.`);
+        }
+        return this.sendMessage(message, {
+            ...opts,
+            conversationId,
+            parentMessageId: userMessage.parentMessageId,
+        });
+    }
+
+    /**
+     * Get the variants of a message, i.e. the regenerated replies or edited messages sharing its parent.
+     * @param {string} conversationId
+     * @param {string} messageId
+     * @returns {Promise<Object[]>}
+     */
+    async getMessageVariants(conversationId, messageId) {
+        const conversation = await this.conversationsCache.get(conversationId);
+        return getSiblingMessages(conversation?.messages || [], messageId);
+    }
+
     async genTitle(event) {
         const { debug } = this.options;
         if (debug) {
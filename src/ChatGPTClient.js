@@ -2,8 +2,11 @@ import './fetch-polyfill.js';
 import crypto from 'crypto';
 import Keyv from 'keyv';
 import { encoding_for_model as encodingForModel, get_encoding as getEncoding } from '@dqbd/tiktoken';
-import { fetchEventSource } from '@waylaidwanderer/fetch-event-source';
-import { Agent, ProxyAgent } from 'undici';
+import { getSiblingMessages } from './conversation-store.js';
+import { providers } from './providers/index.js';
+import { withRetry } from './retry.js';
+import { getCost } from './pricing.js';
+import { getImageTokenCount, getMessageImages } from './images.js';
 
 const CHATGPT_MODEL = 'gpt-3.5-turbo';
 
@@ -19,6 +22,8 @@ export default class ChatGPTClient {
 
         cacheOptions.namespace = cacheOptions.namespace || 'chatgpt';
         this.conversationsCache = new Keyv(cacheOptions);
+        // only used with the `completionCache` option
+        this.completionsCache = new Keyv({ ...cacheOptions, namespace: `${cacheOptions.namespace}-completions` });
 
         this.setOptions(options);
     }
@@ -44,6 +49,16 @@ export default class ChatGPTClient {
             this.apiKey = this.options.openaiApiKey;
         }
 
+        // the API that completions are sent to (see `src/providers/`). As before providers, `azure: true` only changes
+        // anything with a `reverseProxyUrl` (the deployment URL), and is otherwise the same as OpenAI.
+        const { azure, reverseProxyUrl } = this.options;
+        const usesAzure = typeof azure === 'object' ? Boolean(azure) : Boolean(azure && reverseProxyUrl);
+        this.providerName = this.options.provider || (usesAzure ? 'azure' : 'openai');
+        if (!providers[this.providerName]) {
+            throw new Error(`Invalid provider: ${this.providerName}`);
+        }
+        this.provider = new providers[this.providerName](this);
+
         const modelOptions = this.options.modelOptions || {};
         this.modelOptions = {
             ...modelOptions,
@@ -55,7 +70,7 @@ export default class ChatGPTClient {
             stop: modelOptions.stop,
         };
 
-        this.isChatGptModel = this.modelOptions.model.startsWith('gpt-');
+        this.isChatGptModel = this.provider.isChatModel(this.modelOptions.model);
         const { isChatGptModel } = this;
         this.isUnofficialChatGptModel = this.modelOptions.model.startsWith('text-chat') || this.modelOptions.model.startsWith('text-davinci-002-render');
         const { isUnofficialChatGptModel } = this;
@@ -72,6 +87,16 @@ export default class ChatGPTClient {
             throw new Error(`maxPromptTokens + max_tokens (${this.maxPromptTokens} + ${this.maxResponseTokens} = ${this.maxPromptTokens + this.maxResponseTokens}) must be less than or equal to maxContextTokens (${this.maxContextTokens})`);
         }
 
+        // "transcript" (default) builds the chat log as a single system message, while "messages" sends each message
+        // with its own role. "messages" is only supported by chat models.
+        this.promptFormat = this.options.promptFormat || 'transcript';
+        if (!['transcript', 'messages'].includes(this.promptFormat)) {
+            throw new Error(`Invalid promptFormat: ${this.promptFormat}`);
+        }
+        if (!isChatGptModel) {
+            this.promptFormat = 'transcript';
+        }
+
         this.userLabel = this.options.userLabel || 'User';
         this.chatGptLabel = this.options.chatGptLabel || 'ChatGPT';
 
@@ -101,8 +126,10 @@ export default class ChatGPTClient {
                 this.gptEncoder = this.constructor.getTokenizer('text-davinci-003', true);
             }
         }
+        this.gptEncoder = this.provider.getTokenizer() || this.gptEncoder;
 
-        if (!this.modelOptions.stop) {
+        // Stop tokens are only needed to stop the AI from continuing the transcript.
+        if (!this.modelOptions.stop && this.promptFormat === 'transcript') {
             const stopTokens = [this.startToken];
             if (this.endToken && this.endToken !== this.startToken) {
                 stopTokens.push(this.endToken);
@@ -113,13 +140,7 @@ export default class ChatGPTClient {
             this.modelOptions.stop = stopTokens;
         }
 
-        if (this.options.reverseProxyUrl) {
-            this.completionsUrl = this.options.reverseProxyUrl;
-        } else if (isChatGptModel) {
-            this.completionsUrl = 'https://api.openai.com/v1/chat/completions';
-        } else {
-            this.completionsUrl = 'https://api.openai.com/v1/completions';
-        }
+        this.completionsUrl = this.provider.getCompletionsUrl();
 
         return this;
     }
@@ -138,141 +159,85 @@ export default class ChatGPTClient {
         return tokenizer;
     }
 
-    async getCompletion(input, onProgress, abortController = null) {
+    async getCompletion(input, onProgress, abortController = null, modelOptionsOverride = {}) {
         if (!abortController) {
             abortController = new AbortController();
         }
-        const modelOptions = { ...this.modelOptions };
+        const modelOptions = { ...this.modelOptions, ...modelOptionsOverride };
         if (typeof onProgress === 'function') {
             modelOptions.stream = true;
         }
-        if (this.isChatGptModel) {
-            modelOptions.messages = input;
-        } else {
-            modelOptions.prompt = input;
-        }
-        const { debug } = this.options;
-        const url = this.completionsUrl;
-        if (debug) {
-            console.debug();
-            console.debug(url);
-            console.debug(modelOptions);
-            console.debug();
-        }
-        const opts = {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
+        // Failed completions are retried (see `src/retry.js`), but only until a streamed reply has started,
+        // since the tokens already sent to `onProgress` can't be taken back.
+        let hasStreamed = false;
+        const onCompletionProgress = typeof onProgress === 'function'
+            ? (progressMessage) => {
+                hasStreamed = true;
+                onProgress(progressMessage);
+            }
+            : onProgress;
+        return withRetry(
+            () => this.provider.getCompletion(input, modelOptions, onCompletionProgress, abortController),
+            this.options.retry,
+            {
+                abortController,
+                shouldRetry: () => !hasStreamed,
+                onRetry: (error, retry, delay) => {
+                    if (this.options.debug) {
+                        console.debug(`Retrying completion (retry ${retry}) in ${Math.round(delay)}ms after error:`, error.message);
+                    }
+                },
             },
-            body: JSON.stringify(modelOptions),
-            dispatcher: new Agent({
-                bodyTimeout: 0,
-                headersTimeout: 0,
-            }),
-        };
+        );
+    }
 
-        if (this.apiKey && this.options.azure && this.options.reverseProxyUrl) {
-            opts.headers['api-key'] = this.apiKey;
-        } else if (this.apiKey) {
-            opts.headers.Authorization = `Bearer ${this.apiKey}`;
-        }
-
-        if (this.options.headers) {
-            opts.headers = { ...opts.headers, ...this.options.headers };
-        }
-
-        if (this.options.proxy) {
-            opts.dispatcher = new ProxyAgent(this.options.proxy);
-        }
-
-        if (modelOptions.stream) {
-            // eslint-disable-next-line no-async-promise-executor
-            return new Promise(async (resolve, reject) => {
-                try {
-                    let done = false;
-                    await fetchEventSource(url, {
-                        ...opts,
-                        signal: abortController.signal,
-                        async onopen(response) {
-                            if (response.status === 200) {
-                                return;
-                            }
-                            if (debug) {
-                                console.debug(response);
-                            }
-                            let error;
-                            try {
-                                const body = await response.text();
-                                error = new Error(`Failed to send message. HTTP ${response.status} - ${body}`);
-                                error.status = response.status;
-                                error.json = JSON.parse(body);
-                            } catch {
-                                error = error || new Error(`Failed to send message. HTTP ${response.status}`);
-                            }
-                            throw error;
-                        },
-                        onclose() {
-                            if (debug) {
-                                console.debug('Server closed the connection unexpectedly, returning...');
-                            }
-                            // workaround for private API not sending [DONE] event
-                            if (!done) {
-                                onProgress('[DONE]');
-                                abortController.abort();
-                                resolve();
-                            }
-                        },
-                        onerror(err) {
-                            if (debug) {
-                                console.debug(err);
-                            }
-                            // rethrow to stop the operation
-                            throw err;
-                        },
-                        onmessage(message) {
-                            if (debug) {
-                                console.debug(message);
-                            }
-                            if (!message.data || message.event === 'ping') {
-                                return;
-                            }
-                            if (message.data === '[DONE]') {
-                                onProgress('[DONE]');
-                                abortController.abort();
-                                resolve();
-                                done = true;
-                                return;
-                            }
-                            onProgress(JSON.parse(message.data));
-                        },
-                    });
-                } catch (err) {
-                    reject(err);
-                }
-            });
+    /**
+     * Get the embeddings of texts from the provider's embeddings API (used by `DocumentIndex`).
+     * @param {string[]} texts
+     * @param {Object} [opts]
+     * @param {string} [opts.model] (Default: the `embeddingModel` option, or the provider's default model)
+     * @param {AbortController} [opts.abortController]
+     * @param {function(Object): void} [opts.onUsage] Called with the usage of the embeddings, as returned by `getUsage()`
+     * with the type "embeddings". The texts are counted with the `cl100k_base` tokenizer.
+     * @returns {Promise<number[][]>} The embeddings, in the order of the texts.
+     */
+    async getEmbeddings(texts, { model = null, abortController = null, onUsage = null } = {}) {
+        if (!abortController) {
+            abortController = new AbortController();
         }
-        const response = await fetch(
-            url,
+        const embeddingModel = model || this.getEmbeddingModel();
+        const embeddings = await withRetry(
+            () => this.provider.getEmbeddings(texts, embeddingModel, abortController),
+            this.options.retry,
             {
-                ...opts,
-                signal: abortController.signal,
+                abortController,
+                onRetry: (error, retry, delay) => {
+                    if (this.options.debug) {
+                        console.debug(`Retrying embeddings (retry ${retry}) in ${Math.round(delay)}ms after error:`, error.message);
+                    }
+                },
             },
         );
-        if (response.status !== 200) {
-            const body = await response.text();
-            const error = new Error(`Failed to send message. HTTP ${response.status} - ${body}`);
-            error.status = response.status;
-            try {
-                error.json = JSON.parse(body);
-            } catch {
-                error.body = body;
-            }
-            throw error;
+        if (onUsage) {
+            const tokenizer = this.constructor.getTokenizer('cl100k_base');
+            const promptTokens = texts.reduce((tokenCount, text) => tokenCount + tokenizer.encode(text, 'all').length, 0);
+            onUsage({ type: 'embeddings', ...this.getUsage(promptTokens, 0, embeddingModel) });
         }
-        return response.json();
+        return embeddings;
+    }
+
+    getEmbeddingModel() {
+        return this.options.embeddingModel || this.provider.getDefaultEmbeddingModel();
     }
 
-    async generateTitle(userMessage, botMessage) {
+    /**
+     * @param {Object} userMessage
+     * @param {Object} botMessage
+     * @param {Object} [opts]
+     * @param {function(Object): void} [opts.onUsage] Called with the usage of the completion (see `getCompletionUsage()`).
+     * @returns {Promise<string>}
+     */
+    async generateTitle(userMessage, botMessage, { onUsage = null } = {}) {
         const instructionsPayload = {
             role: 'system',
             content: `Write an extremely concise subtitle for this conversation with no more than a few words. All words should be capitalized. Exclude punctuation.
@@ -285,15 +250,20 @@ ${botMessage.message}
 ||>Title:`,
         };
 
-        const titleGenClientOptions = JSON.parse(JSON.stringify(this.options));
+        // the document index can't be copied (and isn't needed)
+        const { documentIndex, ...titleGenOptions } = this.options;
+        const titleGenClientOptions = JSON.parse(JSON.stringify(titleGenOptions));
         titleGenClientOptions.modelOptions = {
-            model: 'gpt-3.5-turbo',
+            model: this.providerName === 'openai' ? 'gpt-3.5-turbo' : this.modelOptions.model,
             temperature: 0,
             presence_penalty: 0,
             frequency_penalty: 0,
         };
         const titleGenClient = new ChatGPTClient(this.apiKey, titleGenClientOptions);
         const result = await titleGenClient.getCompletion([instructionsPayload], null);
+        if (onUsage) {
+            onUsage(titleGenClient.getCompletionUsage('title', [instructionsPayload], result));
+        }
         // remove any non-alphanumeric characters, replace multiple spaces with 1, and then trim
         return result.choices[0].message.content
             .replace(/[^a-zA-Z0-9' ]/g, '')
@@ -326,39 +296,368 @@ ${botMessage.message}
         }
 
         const shouldGenerateTitle = opts.shouldGenerateTitle && isNewConversation;
+        // the usage of the completions (and embeddings) that aren't part of the reply, e.g. of the title
+        const additionalUsage = [];
+        const onUsage = usage => additionalUsage.push(usage);
+
+        // `replyToMessageId` replies to an existing user message instead of adding a new one (see `regenerateMessage()`)
+        let userMessage;
+        if (opts.replyToMessageId) {
+            userMessage = conversation.messages.find(m => m.id === opts.replyToMessageId && m.role === 'User');
+            if (!userMessage) {
+                throw new Error(`User message ${opts.replyToMessageId} not found in conversation ${conversationId}.`);
+            }
+        } else {
+            userMessage = {
+                id: crypto.randomUUID(),
+                parentMessageId,
+                role: 'User',
+                message,
+            };
+            // images are stored with the message, so that they're sent again with the rest of the conversation
+            const images = getMessageImages(opts);
+            if (images.length > 0) {
+                if (!this.isChatGptModel) {
+                    throw new Error('Images are only supported by chat models (e.g. `gpt-4o`).');
+                }
+                userMessage.images = images;
+            }
+            conversation.messages.push(userMessage);
+        }
 
-        const userMessage = {
-            id: crypto.randomUUID(),
-            parentMessageId,
-            role: 'User',
-            message,
-        };
-        conversation.messages.push(userMessage);
+        // the chunks of the retrieval collection that are the most relevant to the message, sent as numbered sources
+        const retrieval = this.getRetrievalOptions(opts);
+        const retrievedChunks = retrieval
+            ? await this.options.documentIndex.search(retrieval.collection, userMessage.message, {
+                topK: retrieval.topK,
+                minScore: retrieval.minScore,
+                abortController: opts.abortController,
+                onUsage,
+            })
+            : [];
 
         // Doing it this way instead of having each message be a separate element in the array seems to be more reliable,
         // especially when it comes to keeping the AI in character. It also seems to improve coherency and context retention.
-        const { prompt: payload, context } = await this.buildPrompt(
+        const {
+            prompt: payload,
+            context,
+            promptTokenCount,
+            summary,
+            sources,
+        } = await this.buildPrompt(
             conversation.messages,
             userMessage.id,
             {
                 isChatGptModel: this.isChatGptModel,
                 promptPrefix: opts.promptPrefix,
+                contextStrategy: this.getContextStrategy(opts),
+                summaries: conversation.summaries,
+                abortController: opts.abortController,
+                onUsage,
+                retrievedChunks,
+                maxSourceTokens: retrieval?.maxTokens,
             },
         );
 
+        if (summary) {
+            conversation.summaries = {
+                ...conversation.summaries,
+                [summary.messageId]: summary.text,
+            };
+        }
+
         if (this.options.keepNecessaryMessagesOnly) {
             conversation.messages = context;
         }
 
+        const tools = opts.tools || [];
+        if (tools.length > 0 && !this.isChatGptModel) {
+            throw new Error('Tools are only supported by chat models (e.g. `gpt-3.5-turbo`).');
+        }
+        const maxToolRounds = opts.maxToolRounds ?? 10;
+        const abortController = opts.abortController || new AbortController();
+
+        // Tool calls and their results are sent after the prompt in OpenAI's format, and stored as messages so that
+        // follow-up messages keep the context. The reply becomes a child of the last tool result.
+        const toolPayload = [];
+        let toolPayloadTokenCount = 0;
+        const toolCallResults = [];
+        let replyParentMessageId = userMessage.id;
+        // summed over every completion of the message (one per round of tool calls)
+        let promptTokens = 0;
+        let completionTokens = 0;
+        // whether every completion of the message was served from the completion cache
+        let fromCache = true;
+
+        let reply;
+        let result;
+        for (let round = 0; ; round++) {
+            const modelOptions = {};
+            if (tools.length > 0) {
+                modelOptions.tools = tools.map(tool => ({
+                    type: 'function',
+                    function: {
+                        name: tool.name,
+                        description: tool.description,
+                        parameters: tool.parameters,
+                    },
+                }));
+                if (round >= maxToolRounds) {
+                    // force a reply instead of calling tools forever
+                    modelOptions.tool_choice = 'none';
+                }
+            }
+            if (toolPayloadTokenCount > 0) {
+                // what's left of the context after the prompt and the tool calls, up to `maxResponseTokens`
+                modelOptions.max_tokens = Math.min(
+                    this.maxContextTokens - promptTokenCount - toolPayloadTokenCount,
+                    this.maxResponseTokens,
+                );
+                if (modelOptions.max_tokens <= 0) {
+                    throw new Error(`Prompt is too long. The tool calls and results used ${toolPayloadTokenCount} tokens, leaving no tokens for the response.`);
+                }
+            }
+
+            let toolCalls;
+            let usage;
+            let replyFromCache;
+            const roundAbortController = this.constructor.getLinkedAbortController(abortController);
+            ({
+                reply,
+                toolCalls,
+                result,
+                usage,
+                fromCache: replyFromCache,
+            // eslint-disable-next-line no-await-in-loop
+            } = await this.getCachedReply(
+                this.isChatGptModel ? [...payload, ...toolPayload] : payload,
+                opts.onProgress,
+                roundAbortController,
+                modelOptions,
+                opts.useCompletionCache ?? true,
+            ).finally(() => roundAbortController.abort()));
+            fromCache = fromCache && replyFromCache;
+            // use the usage reported by the API if there is one (streamed completions usually don't have it)
+            promptTokens += usage?.prompt_tokens ?? (promptTokenCount + toolPayloadTokenCount);
+            completionTokens += usage?.completion_tokens ?? toolCalls.reduce(
+                (tokenCount, toolCall) => tokenCount + this.getTokenCount(`${toolCall.name}${toolCall.arguments}`),
+                this.getTokenCount(reply),
+            );
+            if (toolCalls.length === 0) {
+                break;
+            }
+
+            const toolCallMessage = {
+                id: crypto.randomUUID(),
+                parentMessageId: replyParentMessageId,
+                role: 'ChatGPT',
+                message: reply.trim(),
+                toolCalls,
+            };
+            conversation.messages.push(toolCallMessage);
+            replyParentMessageId = toolCallMessage.id;
+            const toolCallPayload = this.constructor.getMessagePayload(toolCallMessage);
+            toolPayload.push(toolCallPayload);
+            toolPayloadTokenCount += this.getTokenCountForMessage(toolCallPayload);
+
+            for (const toolCall of toolCalls) {
+                if (typeof opts.onProgress === 'function') {
+                    opts.onProgress({ type: 'tool_call', ...toolCall });
+                }
+                const toolAbortController = this.constructor.getLinkedAbortController(abortController);
+                // eslint-disable-next-line no-await-in-loop
+                const toolResult = await this.constructor.callTool(tools, toolCall, toolAbortController)
+                    .finally(() => toolAbortController.abort());
+                if (typeof opts.onProgress === 'function') {
+                    opts.onProgress({
+                        type: 'tool_result',
+                        id: toolCall.id,
+                        name: toolCall.name,
+                        result: toolResult,
+                    });
+                }
+                // `response` is only the text of the last round, so the text streamed before the tool calls is returned with them
+                toolCallResults.push({
+                    ...toolCall,
+                    ...(toolCallMessage.message ? { message: toolCallMessage.message } : {}),
+                    result: toolResult,
+                });
+
+                const toolMessage = {
+                    id: crypto.randomUUID(),
+                    parentMessageId: replyParentMessageId,
+                    role: 'Tool',
+                    message: toolResult,
+                    toolCallId: toolCall.id,
+                    name: toolCall.name,
+                };
+                conversation.messages.push(toolMessage);
+                replyParentMessageId = toolMessage.id;
+                const toolResultPayload = this.constructor.getMessagePayload(toolMessage);
+                toolPayload.push(toolResultPayload);
+                toolPayloadTokenCount += this.getTokenCountForMessage(toolResultPayload);
+            }
+        }
+
+        // avoids some rendering issues when using the CLI app
+        if (this.options.debug) {
+            console.debug();
+        }
+
+        reply = reply.trim();
+
+        const replyMessage = {
+            id: crypto.randomUUID(),
+            parentMessageId: replyParentMessageId,
+            role: 'ChatGPT',
+            message: reply,
+        };
+        conversation.messages.push(replyMessage);
+
+        const replySources = this.constructor.getCitedSources(reply, sources);
+        if (replySources.length > 0) {
+            // the text of the sources isn't stored, since it's in the collection
+            replyMessage.sources = replySources.map(({ text, score, ...source }) => source);
+        }
+
+        const usage = this.getUsage(promptTokens, completionTokens);
+        conversation.usage = this.constructor.addUsage(conversation.usage, usage);
+
+        const returnData = {
+            response: replyMessage.message,
+            conversationId,
+            parentMessageId: replyMessage.parentMessageId,
+            messageId: replyMessage.id,
+            details: result || {},
+            usage,
+            fromCache,
+        };
+
+        if (toolCallResults.length > 0) {
+            returnData.toolCalls = toolCallResults;
+        }
+
+        if (replySources.length > 0) {
+            returnData.sources = replySources;
+        }
+
+        if (shouldGenerateTitle) {
+            conversation.title = await this.generateTitle(userMessage, replyMessage, { onUsage });
+            returnData.title = conversation.title;
+        }
+
+        if (additionalUsage.length > 0) {
+            returnData.additionalUsage = additionalUsage;
+        }
+
+        await this.conversationsCache.set(conversationId, conversation);
+
+        if (this.options.returnConversation) {
+            returnData.conversation = conversation;
+        }
+
+        return returnData;
+    }
+
+    /**
+     * Generate a new reply to a user message, stored as a sibling of the existing replies.
+     * @param {string} conversationId
+     * @param {string} messageId The ID of the reply to regenerate, or of the user message to reply to.
+     * @param {Object} opts Any `sendMessage()` options.
+     */
+    async regenerateMessage(conversationId, messageId, opts = {}) {
+        const conversation = await this.conversationsCache.get(conversationId);
+        const messages = conversation?.messages || [];
+        let userMessage = messages.find(m => m.id === messageId);
+        // skip past any tool calls and results to the user message
+        while (userMessage && userMessage.role !== 'User') {
+            // eslint-disable-next-line no-loop-func
+            userMessage = messages.find(m => m.id === userMessage.parentMessageId);
+        }
+        if (!userMessage) {
+            throw new Error(`Message ${messageId} not found in conversation ${conversationId}.`);
+        }
+        return this.sendMessage(userMessage.message, {
+            // the cached reply would be the same as the one being regenerated
+            useCompletionCache: false,
+            ...opts,
+            conversationId,
+            conversation,
+            replyToMessageId: userMessage.id,
+        });
+    }
+
+    /**
+     * Send an edited version of a user message, starting a new branch of the conversation from its parent.
+     * The original message and its replies are kept as a sibling branch. The edited message keeps the original's images,
+     * unless `opts` has images.
+     * @param {string} conversationId
+     * @param {string} messageId The ID of the user message to edit.
+     * @param {string} message The new message.
+     * @param {Object} opts Any `sendMessage()` options.
+     */
+    async editMessage(conversationId, messageId, message, opts = {}) {
+        const conversation = await this.conversationsCache.get(conversationId);
+        const userMessage = conversation?.messages.find(m => m.id === messageId && m.role === 'User');
+        if (!userMessage) {
+            throw new Error(`User message ${messageId} not found in conversation ${conversationId}.`);
+        }
+        const hasNewImages = Boolean(opts.imageURL || opts.imageBase64 || opts.images);
+        return this.sendMessage(message, {
+            ...opts,
+            images: hasNewImages ? opts.images : userMessage.images,
+            conversationId,
+            conversation,
+            parentMessageId: userMessage.parentMessageId,
+        });
+    }
+
+    /**
+     * Get the variants of a message, i.e. the regenerated replies or edited messages sharing its parent.
+     * @param {string} conversationId
+     * @param {string} messageId
+     * @returns {Promise<Object[]>}
+     */
+    async getMessageVariants(conversationId, messageId) {
+        const conversation = await this.conversationsCache.get(conversationId);
+        return getSiblingMessages(conversation?.messages || [], messageId);
+    }
+
+    /**
+     * Get a single completion for the given prompt, streaming the reply's tokens to `onProgress` if set.
+     * @param {*} input The prompt, as returned by `buildPrompt()`.
+     * @param {Function|null} onProgress
+     * @param {AbortController} abortController
+     * @param {Object} modelOptions Options to override `this.modelOptions` with for this completion.
+     * @returns {Promise<{reply: string, toolCalls: Object[], result: Object|null, usage: Object|null}>}
+     * `toolCalls` contains the tools the model wants to call, as `{ id, name, arguments }` objects.
+     * `usage` is the token usage reported by the API, in OpenAI's format, if any.
+     */
+    async getReply(input, onProgress, abortController, modelOptions = {}) {
         let reply = '';
         let result = null;
-        if (typeof opts.onProgress === 'function') {
+        let toolCalls = [];
+        let usage = null;
+        if (typeof onProgress === 'function') {
             await this.getCompletion(
-                payload,
+                input,
                 (progressMessage) => {
                     if (progressMessage === '[DONE]') {
                         return;
                     }
+                    if (progressMessage.usage) {
+                        ({ usage } = progressMessage);
+                    }
+                    // tool calls are streamed in fragments, identified by their index
+                    for (const toolCallDelta of progressMessage.choices[0]?.delta?.tool_calls || []) {
+                        if (!toolCalls[toolCallDelta.index]) {
+                            toolCalls[toolCallDelta.index] = { id: '', name: '', arguments: '' };
+                        }
+                        const toolCall = toolCalls[toolCallDelta.index];
+                        toolCall.id += toolCallDelta.id || '';
+                        toolCall.name += toolCallDelta.function?.name || '';
+                        toolCall.arguments += toolCallDelta.function?.arguments || '';
+                    }
                     const token = this.isChatGptModel ? progressMessage.choices[0]?.delta.content : progressMessage.choices[0]?.text;
                     // first event's delta content is always undefined
                     if (!token) {
@@ -370,65 +669,234 @@ ${botMessage.message}
                     if (token === this.endToken) {
                         return;
                     }
-                    opts.onProgress(token);
+                    onProgress(token);
                     reply += token;
                 },
-                opts.abortController || new AbortController(),
+                abortController,
+                modelOptions,
             );
         } else {
             result = await this.getCompletion(
-                payload,
+                input,
                 null,
-                opts.abortController || new AbortController(),
+                abortController,
+                modelOptions,
             );
             if (this.options.debug) {
                 console.debug(JSON.stringify(result));
             }
+            usage = result.usage || null;
             if (this.isChatGptModel) {
-                reply = result.choices[0].message.content;
+                reply = result.choices[0].message.content || '';
+                toolCalls = (result.choices[0].message.tool_calls || []).map(toolCall => ({
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    arguments: toolCall.function.arguments,
+                }));
             } else {
                 reply = result.choices[0].text.replace(this.endToken, '');
             }
         }
+        return {
+            reply,
+            toolCalls: toolCalls.filter(Boolean),
+            result,
+            usage,
+        };
+    }
 
-        // avoids some rendering issues when using the CLI app
-        if (this.options.debug) {
-            console.debug();
+    /**
+     * Get a reply through the completion cache, if the `completionCache` option is set.
+     * Identical prompts with identical model options get the cached reply, streamed to `onProgress` word by word if set.
+     * @param {*} input
+     * @param {Function|null} onProgress
+     * @param {AbortController} abortController
+     * @param {Object} modelOptions
+     * @param {boolean} [readCache] Set to `false` to get a new reply, which then replaces the cached one.
+     * @returns {Promise<{reply: string, toolCalls: Object[], result: Object|null, usage: Object|null, fromCache: boolean}>}
+     * The same as `getReply()`, with `fromCache` set if the reply came from the cache. Cached replies report no usage,
+     * since they didn't use any tokens.
+     */
+    async getCachedReply(input, onProgress, abortController, modelOptions = {}, readCache = true) {
+        const { completionCache } = this.options;
+        if (!completionCache) {
+            return {
+                ...(await this.getReply(input, onProgress, abortController, modelOptions)),
+                fromCache: false,
+            };
         }
 
-        reply = reply.trim();
+        const key = this.getCompletionCacheKey(input, modelOptions);
+        const cachedReply = readCache ? await this.completionsCache.get(key) : undefined;
+        if (cachedReply) {
+            if (this.options.debug) {
+                console.debug(`Completion cache hit: ${key}`);
+            }
+            if (typeof onProgress === 'function') {
+                for (const token of cachedReply.reply.match(/\s*\S+/g) || []) {
+                    if (abortController?.signal.aborted) {
+                        throw new Error('Request aborted');
+                    }
+                    onProgress(token);
+                }
+            }
+            return {
+                reply: cachedReply.reply,
+                toolCalls: cachedReply.toolCalls,
+                // streamed replies have no result
+                result: typeof onProgress === 'function' ? null : cachedReply.result,
+                usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+                fromCache: true,
+            };
+        }
 
-        const replyMessage = {
-            id: crypto.randomUUID(),
-            parentMessageId: userMessage.id,
-            role: 'ChatGPT',
-            message: reply,
-        };
-        conversation.messages.push(replyMessage);
+        const reply = await this.getReply(input, onProgress, abortController, modelOptions);
+        const { ttl = 24 * 60 * 60 * 1000 } = completionCache === true ? {} : completionCache;
+        await this.completionsCache.set(key, {
+            reply: reply.reply,
+            toolCalls: reply.toolCalls,
+            result: reply.result,
+        }, ttl);
+        return { ...reply, fromCache: false };
+    }
 
-        const returnData = {
-            response: replyMessage.message,
-            conversationId,
-            parentMessageId: replyMessage.parentMessageId,
-            messageId: replyMessage.id,
-            details: result || {},
+    /**
+     * The key of a completion in the completion cache: a hash of the backend, the prompt and the model options
+     * (except `stream`, since cached replies can be replayed either way).
+     * @param {*} input
+     * @param {Object} modelOptionsOverride
+     * @returns {string}
+     */
+    getCompletionCacheKey(input, modelOptionsOverride = {}) {
+        const { stream, ...modelOptions } = { ...this.modelOptions, ...modelOptionsOverride };
+        return crypto.createHash('sha256').update(JSON.stringify({
+            provider: this.providerName,
+            url: this.completionsUrl,
+            input,
+            modelOptions,
+        })).digest('hex');
+    }
+
+    /**
+     * @param {number} promptTokens
+     * @param {number} completionTokens
+     * @param {string} [model] (Default: the model of the client)
+     * @returns {{model: string, promptTokens: number, completionTokens: number, totalTokens: number, cost: number|null}}
+     * `cost` is estimated in USD from the `prices` option (see `src/pricing.js`), or `null` if the model's price is unknown.
+     */
+    getUsage(promptTokens, completionTokens, model = this.modelOptions.model) {
+        return {
+            model,
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens,
+            cost: getCost(model, promptTokens, completionTokens, this.options.prices),
         };
+    }
 
-        if (shouldGenerateTitle) {
-            conversation.title = await this.generateTitle(userMessage, replyMessage);
-            returnData.title = conversation.title;
-        }
+    /**
+     * Get the usage of a completion made for something else than a reply (e.g. a title), as the `additionalUsage` of
+     * `sendMessage()` results. The counts reported by the API are used when available.
+     * @param {string} type What the completion was for, e.g. "title".
+     * @param {Object[]|string} input The messages of the completion, or its prompt for models that aren't chat models.
+     * @param {Object} result The result of `getCompletion()`.
+     * @returns {Object} The usage as returned by `getUsage()`, with its `type`.
+     */
+    getCompletionUsage(type, input, result) {
+        const promptTokens = result.usage?.prompt_tokens ?? (typeof input === 'string'
+            ? this.getTokenCount(input)
+            : input.reduce((tokenCount, message) => tokenCount + this.getTokenCountForMessage(message), 0));
+        const completionTokens = result.usage?.completion_tokens
+            ?? this.getTokenCount(result.choices?.[0]?.message?.content ?? result.choices?.[0]?.text ?? '');
+        return { type, ...this.getUsage(promptTokens, completionTokens) };
+    }
 
-        await this.conversationsCache.set(conversationId, conversation);
+    /**
+     * Add the usage of a message to the cumulative usage of a conversation.
+     * @param {Object|undefined} conversationUsage
+     * @param {Object} usage As returned by `getUsage()`.
+     */
+    static addUsage(conversationUsage, usage) {
+        const total = conversationUsage || {
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            cost: 0,
+        };
+        return {
+            promptTokens: total.promptTokens + usage.promptTokens,
+            completionTokens: total.completionTokens + usage.completionTokens,
+            totalTokens: total.totalTokens + usage.totalTokens,
+            // messages with an unknown price don't add to the cost
+            cost: total.cost + (usage.cost || 0),
+        };
+    }
 
-        if (this.options.returnConversation) {
-            returnData.conversation = conversation;
+    /**
+     * Streamed completions abort their controller once they're done, so each completion and tool call of a message gets
+     * its own controller, which is aborted when the message's controller is. It should be aborted once it's no longer
+     * needed, which also stops it from listening to the message's controller.
+     * @param {AbortController} abortController The controller of the message.
+     * @returns {AbortController}
+     */
+    static getLinkedAbortController(abortController) {
+        const linkedAbortController = new AbortController();
+        if (abortController.signal.aborted) {
+            linkedAbortController.abort();
+        } else {
+            abortController.signal.addEventListener('abort', () => linkedAbortController.abort(), {
+                once: true,
+                signal: linkedAbortController.signal,
+            });
         }
+        return linkedAbortController;
+    }
 
-        return returnData;
+    /**
+     * Run the handler of the tool requested by the model.
+     * Errors are returned to the model as the result instead of being thrown, so that it can recover from them.
+     * @param {Object[]} tools The tools passed to `sendMessage()`.
+     * @param {{id: string, name: string, arguments: string}} toolCall
+     * @param {AbortController} abortController
+     * @returns {Promise<string>} The result of the tool call, serialized as JSON if it isn't a string.
+     */
+    static async callTool(tools, toolCall, abortController) {
+        let toolResult;
+        try {
+            const tool = tools.find(t => t.name === toolCall.name);
+            if (!tool) {
+                throw new Error(`Unknown tool: ${toolCall.name}`);
+            }
+            const args = toolCall.arguments ? JSON.parse(toolCall.arguments) : {};
+            toolResult = await tool.handler(args, { abortController });
+        } catch (error) {
+            toolResult = { error: error.message };
+        }
+        return typeof toolResult === 'string' ? toolResult : JSON.stringify(toolResult ?? null);
     }
 
-    async buildPrompt(messages, parentMessageId, { isChatGptModel = false, promptPrefix = null }) {
+    async buildPrompt(messages, parentMessageId, {
+        isChatGptModel = false,
+        promptPrefix = null,
+        contextStrategy = this.getContextStrategy(),
+        summaries = {},
+        abortController = null,
+        onUsage = null,
+        retrievedChunks = [],
+        maxSourceTokens = 1000,
+    }) {
+        if (isChatGptModel && this.promptFormat === 'messages') {
+            return this.buildMessagesPrompt(messages, parentMessageId, {
+                promptPrefix,
+                contextStrategy,
+                summaries,
+                abortController,
+                onUsage,
+                retrievedChunks,
+                maxSourceTokens,
+            });
+        }
+
         const orderedMessages = this.constructor.getMessagesForConversation(messages, parentMessageId);
 
         promptPrefix = (promptPrefix || this.options.promptPrefix || '').trim();
@@ -459,72 +927,549 @@ ${botMessage.message}
             content: promptSuffix,
         };
 
-        let currentTokenCount;
-        if (isChatGptModel) {
-            currentTokenCount = this.getTokenCountForMessage(instructionsPayload) + this.getTokenCountForMessage(messagePayload);
-        } else {
-            currentTokenCount = this.getTokenCount(`${promptPrefix}${promptSuffix}`);
+        const getBaseTokenCount = () => {
+            if (isChatGptModel) {
+                return this.getTokenCountForMessage(instructionsPayload) + this.getTokenCountForMessage(messagePayload);
+            }
+            return this.getTokenCount(`${promptPrefix}${promptSuffix}`);
+        };
+        let currentTokenCount = getBaseTokenCount();
+
+        // Images can't be part of the transcript, so they're sent in a user message before it, and referred to
+        // in the transcript by their number.
+        const getMessageString = (message, firstImageNumber = 1) => {
+            let roleLabel;
+            if (message.role === 'User') {
+                roleLabel = this.userLabel;
+            } else if (message.role === 'Tool') {
+                roleLabel = `Tool (${message.name})`;
+            } else {
+                roleLabel = this.chatGptLabel;
+            }
+            let messageText = message.message;
+            if (message.toolCalls) {
+                messageText = [
+                    messageText,
+                    ...message.toolCalls.map(toolCall => `[Called tool ${toolCall.name} with arguments ${toolCall.arguments}]`),
+                ].filter(Boolean).join('\n');
+            }
+            if (message.images) {
+                messageText = [
+                    messageText,
+                    ...message.images.map((image, index) => `[Image ${firstImageNumber + index}]`),
+                ].join('\n');
+            }
+            return `${this.startToken}${roleLabel}:\n${messageText}${this.endToken}\n`;
+        };
+        const getImagePayloadParts = (images, firstImageNumber = 1) => images.flatMap((image, index) => [
+            { type: 'text', text: `[Image ${firstImageNumber + index}]` },
+            { type: 'image_url', image_url: image },
+        ]);
+        const getMessageTokenCount = (message) => {
+            const tokenCount = this.getTokenCount(getMessageString(message));
+            if (!message.images || !isChatGptModel) {
+                return tokenCount;
+            }
+            return tokenCount + this.getTokenCountForContent(getImagePayloadParts(message.images));
+        };
+        const getSummaryString = summaryText => `${this.startToken}Summary of earlier messages:\n${summaryText}${this.endToken}\n`;
+
+        let maxTokenCount = this.maxPromptTokens;
+        if (contextStrategy.type === 'summarize') {
+            // leave room for the summary of the dropped messages
+            maxTokenCount -= this.getTokenCount(getSummaryString('')) + contextStrategy.summaryMaxTokens;
+        }
+
+        let sources = [];
+        if (retrievedChunks.length > 0) {
+            // the sources are part of the instructions, and are sent instead of older messages if they don't all fit
+            const latestMessage = orderedMessages[orderedMessages.length - 1];
+            const latestMessageTokenCount = latestMessage ? getMessageTokenCount(latestMessage) : 0;
+            const sourcesPrompt = this.getSourcesPrompt(
+                retrievedChunks,
+                Math.min(maxSourceTokens, maxTokenCount - currentTokenCount - latestMessageTokenCount),
+            );
+            if (sourcesPrompt) {
+                ({ sources } = sourcesPrompt);
+                promptPrefix = `${promptPrefix}${this.startToken}Sources:\n${sourcesPrompt.text}${this.endToken}\n\n`;
+                instructionsPayload.content = promptPrefix;
+                currentTokenCount = getBaseTokenCount();
+            }
         }
+
+        const { context, tokenCount, droppedMessages } = await this.constructor.selectContextMessages(
+            orderedMessages,
+            currentTokenCount,
+            maxTokenCount,
+            getMessageTokenCount,
+            contextStrategy,
+        );
+        currentTokenCount = tokenCount;
+
+        let summary = null;
         let promptBody = '';
-        const maxTokenCount = this.maxPromptTokens;
+        if (contextStrategy.type === 'summarize' && droppedMessages.length > 0) {
+            summary = await this.summarizeMessages(droppedMessages, {
+                summaries,
+                maxTokens: contextStrategy.summaryMaxTokens,
+                model: contextStrategy.summaryModel,
+                abortController,
+                onUsage,
+            });
+            promptBody = getSummaryString(summary.text);
+            currentTokenCount += this.getTokenCount(promptBody);
+        }
+
+        const images = [];
+        const messageStrings = context.map((message) => {
+            const messageString = getMessageString(message, images.length + 1);
+            images.push(...(message.images || []));
+            return messageString;
+        });
+        let imagesPayload = null;
+        if (images.length > 0 && isChatGptModel) {
+            imagesPayload = {
+                role: 'user',
+                content: getImagePayloadParts(images),
+            };
+            // the images themselves were counted with their messages
+            currentTokenCount += this.getTokenCountForMessage({ role: 'user', content: [] });
+        }
+        if (!isChatGptModel) {
+            // Always insert prompt prefix before the last user message, if not gpt-3.5-turbo.
+            // This makes the AI obey the prompt instructions better, which is important for custom instructions.
+            // After a bunch of testing, it doesn't seem to cause the AI any confusion, even if you ask it things
+            // like "what's the last thing I wrote?".
+            messageStrings.splice(-1, 0, promptPrefix);
+        }
+        promptBody = `${promptBody}${messageStrings.join('')}`;
 
+        const prompt = `${promptBody}${promptSuffix}`;
+        if (isChatGptModel) {
+            messagePayload.content = prompt;
+            // Add 2 tokens for metadata after all messages have been counted.
+            currentTokenCount += 2;
+        }
+
+        // Use up to `this.maxContextTokens` tokens (prompt + response), but try to leave `this.maxTokens` tokens for the response.
+        this.modelOptions.max_tokens = Math.min(this.maxContextTokens - currentTokenCount, this.maxResponseTokens);
+
+        if (isChatGptModel) {
+            return {
+                prompt: [instructionsPayload, ...(imagesPayload ? [imagesPayload] : []), messagePayload],
+                context,
+                promptTokenCount: currentTokenCount,
+                summary,
+                sources,
+            };
+        }
+        return {
+            prompt,
+            context,
+            promptTokenCount: currentTokenCount,
+            summary,
+            sources,
+        };
+    }
+
+    /**
+     * Build the prompt for `promptFormat: 'messages'`, where each message of the conversation is sent with its own role
+     * instead of as part of a transcript. Messages are chosen in the same way as in `buildPrompt()`.
+     * @param messages
+     * @param parentMessageId
+     * @param {{promptPrefix: string|null, contextStrategy: Object, summaries: Object, abortController: AbortController|null,
+     * onUsage: Function|null, retrievedChunks: Object[], maxSourceTokens: number}} options
+     * @returns {Promise<{prompt: Object[], context: Object[], promptTokenCount: number, summary: Object|null,
+     * sources: Object[]}>}
+     */
+    async buildMessagesPrompt(messages, parentMessageId, {
+        promptPrefix = null,
+        contextStrategy = this.getContextStrategy(),
+        summaries = {},
+        abortController = null,
+        onUsage = null,
+        retrievedChunks = [],
+        maxSourceTokens = 1000,
+    }) {
+        const orderedMessages = this.constructor.getMessagesForConversation(messages, parentMessageId);
+
+        promptPrefix = (promptPrefix || this.options.promptPrefix || '').trim();
+        if (!promptPrefix) {
+            const currentDateString = new Date().toLocaleDateString(
+                'en-us',
+                { year: 'numeric', month: 'long', day: 'numeric' },
+            );
+            promptPrefix = `You are ChatGPT, a large language model trained by OpenAI. Respond conversationally.\nCurrent date: ${currentDateString}`;
+        }
+
+        const instructionsPayload = {
+            role: 'system',
+            content: promptPrefix,
+        };
+        const getSummaryPayload = summaryText => ({
+            role: 'system',
+            content: `Summary of the earlier conversation:\n${summaryText}`,
+        });
+        const getMessageTokenCount = message => this.getTokenCountForMessage(this.constructor.getMessagePayload(message));
+
+        // Add 2 tokens for metadata after all messages have been counted.
+        let baseTokenCount = this.getTokenCountForMessage(instructionsPayload) + 2;
+        let maxTokenCount = this.maxPromptTokens;
+        if (contextStrategy.type === 'summarize') {
+            // leave room for the summary of the dropped messages
+            maxTokenCount -= this.getTokenCountForMessage(getSummaryPayload('')) + contextStrategy.summaryMaxTokens;
+        }
+
+        let sources = [];
+        if (retrievedChunks.length > 0) {
+            const latestMessage = orderedMessages[orderedMessages.length - 1];
+            const latestMessageTokenCount = latestMessage ? getMessageTokenCount(latestMessage) : 0;
+            const sourcesPrompt = this.getSourcesPrompt(
+                retrievedChunks,
+                Math.min(maxSourceTokens, maxTokenCount - baseTokenCount - latestMessageTokenCount),
+            );
+            if (sourcesPrompt) {
+                ({ sources } = sourcesPrompt);
+                instructionsPayload.content = `${promptPrefix}\n\nSources:\n${sourcesPrompt.text}`;
+                baseTokenCount = this.getTokenCountForMessage(instructionsPayload) + 2;
+            }
+        }
+
+        const { context: selectedMessages, droppedMessages } = await this.constructor.selectContextMessages(
+            orderedMessages,
+            baseTokenCount,
+            maxTokenCount,
+            getMessageTokenCount,
+            contextStrategy,
+        );
+
+        // Tool results must directly follow the tool call they belong to,
+        // so drop any that were separated from each other by the context strategy.
         const context = [];
+        for (const message of selectedMessages) {
+            const previousMessage = context[context.length - 1];
+            if (message.role === 'Tool' && !previousMessage?.toolCalls && previousMessage?.role !== 'Tool') {
+                continue;
+            }
+            if (previousMessage?.toolCalls && message.role !== 'Tool') {
+                context.pop();
+            }
+            context.push(message);
+        }
 
-        // Iterate backwards through the messages, adding them to the prompt until we reach the max token count.
-        // Do this within a recursive async function so that it doesn't block the event loop for too long.
-        const buildPromptBody = async () => {
-            if (currentTokenCount < maxTokenCount && orderedMessages.length > 0) {
-                const message = orderedMessages.pop();
-                const roleLabel = message.role === 'User' ? this.userLabel : this.chatGptLabel;
-                const messageString = `${this.startToken}${roleLabel}:\n${message.message}${this.endToken}\n`;
-                let newPromptBody;
-                if (promptBody || isChatGptModel) {
-                    newPromptBody = `${messageString}${promptBody}`;
-                } else {
-                    // Always insert prompt prefix before the last user message, if not gpt-3.5-turbo.
-                    // This makes the AI obey the prompt instructions better, which is important for custom instructions.
-                    // After a bunch of testing, it doesn't seem to cause the AI any confusion, even if you ask it things
-                    // like "what's the last thing I wrote?".
-                    newPromptBody = `${promptPrefix}${messageString}${promptBody}`;
+        const prompt = [instructionsPayload];
+        let currentTokenCount = baseTokenCount;
+
+        let summary = null;
+        if (contextStrategy.type === 'summarize' && droppedMessages.length > 0) {
+            summary = await this.summarizeMessages(droppedMessages, {
+                summaries,
+                maxTokens: contextStrategy.summaryMaxTokens,
+                model: contextStrategy.summaryModel,
+                abortController,
+                onUsage,
+            });
+            const summaryPayload = getSummaryPayload(summary.text);
+            prompt.push(summaryPayload);
+            currentTokenCount += this.getTokenCountForMessage(summaryPayload);
+        }
+
+        for (const message of context) {
+            prompt.push(this.constructor.getMessagePayload(message));
+            currentTokenCount += getMessageTokenCount(message);
+        }
+
+        // Use up to `this.maxContextTokens` tokens (prompt + response), but try to leave `this.maxTokens` tokens for the response.
+        this.modelOptions.max_tokens = Math.min(this.maxContextTokens - currentTokenCount, this.maxResponseTokens);
+
+        return {
+            prompt,
+            context,
+            promptTokenCount: currentTokenCount,
+            summary,
+            sources,
+        };
+    }
+
+    /**
+     * Get the retrieval options for a message, from the `sendMessage()` options or the client options.
+     * Retrieval is enabled by setting `retrieval.collection`, and requires the `documentIndex` option.
+     * - `topK`: the number of chunks to retrieve. (Default: 4)
+     * - `minScore`: the minimum cosine similarity of retrieved chunks. (Default: 0)
+     * - `maxTokens`: the maximum number of tokens of sources to add to the prompt. (Default: 1000)
+     * @param {Object} opts The `sendMessage()` options.
+     * @returns {{collection: string, topK: number, minScore: number, maxTokens: number}|null}
+     */
+    getRetrievalOptions(opts = {}) {
+        const retrieval = { ...this.options.retrieval, ...opts.retrieval };
+        if (!retrieval.collection) {
+            return null;
+        }
+        if (!this.options.documentIndex) {
+            throw new Error('Retrieval requires the `documentIndex` option to be set.');
+        }
+        return {
+            collection: retrieval.collection,
+            topK: retrieval.topK ?? 4,
+            minScore: retrieval.minScore ?? 0,
+            maxTokens: retrieval.maxTokens ?? 1000,
+        };
+    }
+
+    /**
+     * Format retrieved chunks as numbered sources for the instructions, in order of relevance.
+     * Chunks that would go over `maxTokens` are left out.
+     * @param {Object[]} chunks As returned by `DocumentIndex.search()`.
+     * @param {number} maxTokens
+     * @returns {{text: string, sources: Object[]}|null} The sources that were included, numbered by `index`,
+     * or `null` if none of them fit.
+     */
+    getSourcesPrompt(chunks, maxTokens) {
+        const instructions = 'Use the sources below to answer if they are relevant, and cite the ones you use by their number, like [1]. If they don\'t answer the message, don\'t mention them.\n';
+        let text = instructions;
+        let tokenCount = this.getTokenCount(instructions);
+        const sources = [];
+        for (const chunk of chunks) {
+            const index = sources.length + 1;
+            const sourceText = `\n[${index}] ${chunk.source}${chunk.heading ? ` (${chunk.heading})` : ''}\n${chunk.text.trim()}\n`;
+            const sourceTokenCount = this.getTokenCount(sourceText);
+            if (tokenCount + sourceTokenCount > maxTokens) {
+                // a shorter chunk may still fit
+                continue;
+            }
+            text += sourceText;
+            tokenCount += sourceTokenCount;
+            sources.push({
+                index,
+                documentId: chunk.documentId,
+                source: chunk.source,
+                heading: chunk.heading || null,
+                score: chunk.score,
+                text: chunk.text,
+            });
+        }
+        return sources.length > 0 ? { text: text.trim(), sources } : null;
+    }
+
+    /**
+     * Mark the sources that a reply cites as [n] (or [n, m]) with `cited: true`.
+     * @param {string} reply
+     * @param {Object[]} sources As returned by `getSourcesPrompt()`.
+     * @returns {Object[]}
+     */
+    static getCitedSources(reply, sources = []) {
+        const citedIndexes = new Set();
+        for (const match of reply.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+            match[1].split(',').forEach(index => citedIndexes.add(Number(index)));
+        }
+        return sources.map(source => ({ ...source, cited: citedIndexes.has(source.index) }));
+    }
+
+    /**
+     * Get the context strategy for a message, from the `sendMessage()` options or the client options.
+     * - "sliding" (default): send the latest messages that fit in the prompt, dropping the oldest ones.
+     * - "pinFirst": always send the first `pinnedMessageCount` messages, then the latest messages that fit.
+     * - "summarize": like "sliding", but the dropped messages are summarized by a secondary completion of up to
+     *   `summaryMaxTokens` tokens with `summaryModel` (by default, the client's model), which is sent before the latest
+     *   messages.
+     * @param {Object} opts The `sendMessage()` options.
+     * @returns {{type: string, pinnedMessageCount: number, summaryMaxTokens: number, summaryModel: string}}
+     */
+    getContextStrategy(opts = {}) {
+        const contextStrategy = {
+            type: opts.contextStrategy || this.options.contextStrategy || 'sliding',
+            pinnedMessageCount: opts.pinnedMessageCount ?? this.options.pinnedMessageCount ?? 2,
+            summaryMaxTokens: opts.summaryMaxTokens ?? this.options.summaryMaxTokens ?? 256,
+            summaryModel: opts.summaryModel || this.options.summaryModel || this.modelOptions.model,
+        };
+        if (!['sliding', 'pinFirst', 'summarize'].includes(contextStrategy.type)) {
+            throw new Error(`Invalid contextStrategy: ${contextStrategy.type}`);
+        }
+        return contextStrategy;
+    }
+
+    /**
+     * Choose the messages to send according to the context strategy (see `getContextStrategy()`).
+     * The latest message is always sent.
+     * @param {Object[]} orderedMessages The messages of the conversation, starting with the root message.
+     * @param {number} currentTokenCount The number of tokens already used by the rest of the prompt.
+     * @param {number} maxTokenCount
+     * @param {Function} getMessageTokenCount Counts the tokens a message uses in the prompt.
+     * @param {{type: string, pinnedMessageCount: number}} contextStrategy
+     * @returns {Promise<{context: Object[], tokenCount: number, droppedMessages: Object[]}>}
+     * `context` contains the messages to send in order, and `droppedMessages` the messages that didn't fit.
+     */
+    static async selectContextMessages(orderedMessages, currentTokenCount, maxTokenCount, getMessageTokenCount, contextStrategy) {
+        const remainingMessages = [...orderedMessages];
+        const latestMessage = remainingMessages.pop();
+        if (!latestMessage) {
+            return { context: [], tokenCount: currentTokenCount, droppedMessages: [] };
+        }
+        currentTokenCount += getMessageTokenCount(latestMessage);
+        if (currentTokenCount > maxTokenCount) {
+            // This is the first message, so we can't add it. Just throw an error.
+            throw new Error(`Prompt is too long. Max token count is ${maxTokenCount}, but prompt is ${currentTokenCount} tokens long.`);
+        }
+
+        const pinnedMessages = [];
+        if (contextStrategy.type === 'pinFirst') {
+            while (pinnedMessages.length < contextStrategy.pinnedMessageCount && remainingMessages.length > 0) {
+                const newTokenCount = currentTokenCount + getMessageTokenCount(remainingMessages[0]);
+                if (newTokenCount > maxTokenCount) {
+                    break;
                 }
+                pinnedMessages.push(remainingMessages.shift());
+                currentTokenCount = newTokenCount;
+            }
+        }
 
-                context.unshift(message);
+        const latestMessages = [latestMessage];
 
-                const tokenCountForMessage = this.getTokenCount(messageString);
-                const newTokenCount = currentTokenCount + tokenCountForMessage;
+        // Iterate backwards through the messages, adding them to the prompt until we reach the max token count.
+        // Do this within a recursive async function so that it doesn't block the event loop for too long.
+        const addLatestMessages = async () => {
+            if (currentTokenCount < maxTokenCount && remainingMessages.length > 0) {
+                const newTokenCount = currentTokenCount + getMessageTokenCount(remainingMessages[remainingMessages.length - 1]);
                 if (newTokenCount > maxTokenCount) {
-                    if (promptBody) {
-                        // This message would put us over the token limit, so don't add it.
-                        return false;
-                    }
-                    // This is the first message, so we can't add it. Just throw an error.
-                    throw new Error(`Prompt is too long. Max token count is ${maxTokenCount}, but prompt is ${newTokenCount} tokens long.`);
+                    // This message would put us over the token limit, so don't add it.
+                    return false;
                 }
-                promptBody = newPromptBody;
+                latestMessages.unshift(remainingMessages.pop());
                 currentTokenCount = newTokenCount;
                 // wait for next tick to avoid blocking the event loop
                 await new Promise(resolve => setImmediate(resolve));
-                return buildPromptBody();
+                return addLatestMessages();
             }
             return true;
         };
 
-        await buildPromptBody();
+        await addLatestMessages();
 
-        const prompt = `${promptBody}${promptSuffix}`;
-        if (isChatGptModel) {
-            messagePayload.content = prompt;
-            // Add 2 tokens for metadata after all messages have been counted.
-            currentTokenCount += 2;
+        return {
+            context: [...pinnedMessages, ...latestMessages],
+            tokenCount: currentTokenCount,
+            droppedMessages: remainingMessages,
+        };
+    }
+
+    /**
+     * Summarize messages that were dropped from the prompt, using a secondary completion.
+     * Summaries are cached by the ID of the last message they cover (see `conversation.summaries`), so only the
+     * messages dropped since the last summary need to be summarized, together with that summary.
+     * @param {Object[]} messages The messages to summarize, starting with the root message.
+     * @param {{summaries: Object, maxTokens: number, model: string, abortController: AbortController|null,
+     * onUsage: Function|null}} options `onUsage` is called with the usage of each completion (see `getCompletionUsage()`).
+     * @returns {Promise<{messageId: string, text: string}>}
+     */
+    async summarizeMessages(messages, {
+        summaries = {},
+        maxTokens = 256,
+        model = this.modelOptions.model,
+        abortController = null,
+        onUsage = null,
+    }) {
+        const messageId = messages[messages.length - 1].id;
+        let lastSummaryIndex = messages.length - 1;
+        while (lastSummaryIndex >= 0 && !summaries[messages[lastSummaryIndex].id]) {
+            lastSummaryIndex -= 1;
+        }
+        let summaryText = lastSummaryIndex >= 0 ? summaries[messages[lastSummaryIndex].id] : '';
+        const newMessages = messages.slice(lastSummaryIndex + 1);
+        if (newMessages.length === 0) {
+            return { messageId, text: summaryText };
         }
 
-        // Use up to `this.maxContextTokens` tokens (prompt + response), but try to leave `this.maxTokens` tokens for the response.
-        this.modelOptions.max_tokens = Math.min(this.maxContextTokens - currentTokenCount, this.maxResponseTokens);
+        const { documentIndex, ...summaryOptions } = this.options;
+        const summaryClientOptions = JSON.parse(JSON.stringify(summaryOptions));
+        delete summaryClientOptions.maxPromptTokens;
+        summaryClientOptions.promptFormat = 'transcript';
+        summaryClientOptions.modelOptions = {
+            model,
+            temperature: 0,
+            presence_penalty: 0,
+            frequency_penalty: 0,
+            max_tokens: maxTokens,
+        };
+        const summaryClient = new ChatGPTClient(this.apiKey, summaryClientOptions);
+
+        const getInstructions = (previousSummary, transcript) => `Summarize the conversation below in no more than ${Math.floor(maxTokens * 0.6)} words. Keep the user's original request or problem statement, important facts, decisions and open questions.${previousSummary ? ' Merge it with the summary of the messages before it.' : ''}
+${previousSummary ? `\n||>Summary of the messages before:\n${previousSummary}\n` : ''}
+||>Conversation:
+${transcript}
+||>Summary:`;
+        const summarize = async (transcript) => {
+            const instructions = getInstructions(summaryText, transcript);
+            const input = summaryClient.isChatGptModel ? [{ role: 'system', content: instructions }] : instructions;
+            const result = await summaryClient.getCompletion(input, null, abortController);
+            if (onUsage) {
+                onUsage(summaryClient.getCompletionUsage('summary', input, result));
+            }
+            return (result.choices[0].message?.content ?? result.choices[0].text).trim();
+        };
 
-        if (isChatGptModel) {
-            return { prompt: [instructionsPayload, messagePayload], context };
+        // Summarize the messages in chunks that fit in the summary prompt, rolling the summary forward.
+        let transcript = '';
+        for (const message of newMessages) {
+            const roleLabel = message.role === 'User' ? this.userLabel : this.chatGptLabel;
+            const line = `${roleLabel}: ${message.message}\n`;
+            if (transcript && summaryClient.getTokenCount(getInstructions(summaryText, `${transcript}${line}`)) > summaryClient.maxPromptTokens) {
+                // eslint-disable-next-line no-await-in-loop
+                summaryText = await summarize(transcript);
+                transcript = '';
+            }
+            transcript += line;
+        }
+        summaryText = await summarize(transcript);
+
+        return { messageId, text: summaryText };
+    }
+
+    /**
+     * Convert a stored message to a message for OpenAI's chat completions API.
+     * @param {*} message
+     */
+    static getMessagePayload(message) {
+        switch (message.role) {
+            case 'User':
+                if (message.images) {
+                    return {
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: message.message },
+                            ...message.images.map(image => ({ type: 'image_url', image_url: image })),
+                        ],
+                    };
+                }
+                return {
+                    role: 'user',
+                    content: message.message,
+                };
+            case 'Tool':
+                return {
+                    role: 'tool',
+                    tool_call_id: message.toolCallId,
+                    content: message.message,
+                };
+            default:
+                if (message.toolCalls) {
+                    return {
+                        role: 'assistant',
+                        content: message.message || null,
+                        tool_calls: message.toolCalls.map(toolCall => ({
+                            id: toolCall.id,
+                            type: 'function',
+                            function: {
+                                name: toolCall.name,
+                                arguments: toolCall.arguments,
+                            },
+                        })),
+                    };
+                }
+                return {
+                    role: 'assistant',
+                    content: message.message,
+                };
         }
-        return { prompt, context };
     }
 
     getTokenCount(text) {
@@ -552,8 +1497,14 @@ ${botMessage.message}
 
         // Map each property of the message to the number of tokens it contains
         const propertyTokenCounts = Object.entries(message).map(([key, value]) => {
-            // Count the number of tokens in the property value
-            const numTokens = this.getTokenCount(value);
+            if (value === null || value === undefined) {
+                return 0;
+            }
+            if (key === 'content' && Array.isArray(value)) {
+                return this.getTokenCountForContent(value);
+            }
+            // Count the number of tokens in the property value (e.g. tool calls are counted as JSON)
+            const numTokens = this.getTokenCount(typeof value === 'string' ? value : JSON.stringify(value));
 
             // Adjust by `nameAdjustment` tokens if the property key is 'name'
             const adjustment = (key === 'name') ? nameAdjustment : 0;
@@ -564,6 +1515,20 @@ ${botMessage.message}
         return propertyTokenCounts.reduce((a, b) => a + b, tokensPerMessage);
     }
 
+    /**
+     * Count the tokens of content parts (text and images, see `src/images.js`).
+     * @param {Object[]} parts
+     * @returns {number}
+     */
+    getTokenCountForContent(parts) {
+        return parts.reduce((tokenCount, part) => {
+            if (part.type === 'image_url') {
+                return tokenCount + getImageTokenCount(part.image_url);
+            }
+            return tokenCount + this.getTokenCount(part.text || '');
+        }, 0);
+    }
+
     /**
      * Iterate through messages, building an array based on the parentMessageId.
      * Each message has an id and a parentMessageId. The parentMessageId is the id of the message that this message is a reply to.
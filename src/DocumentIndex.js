@@ -0,0 +1,248 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import ChatGPTClient from './ChatGPTClient.js';
+import FileVectorStore from './FileVectorStore.js';
+import { chunkText, extractText, getDocumentFormat } from './document-chunker.js';
+
+/**
+ * Indexes documents (markdown, text and PDF files) in collections for retrieval: documents are split into chunks
+ * (see `chunkText()`), which are embedded with a `ChatGPTClient`'s provider and stored in a vector store.
+ * Set as the `documentIndex` option of `ChatGPTClient` to add the chunks that are the most relevant to a message
+ * to its prompt (see the `retrieval` option).
+ *
+ * Documents are identified by their `source` (e.g. their file name), so adding a document again replaces it.
+ * Collections record the embedding model they were indexed with, since embeddings of different models can't be
+ * compared.
+ */
+export default class DocumentIndex {
+    /**
+     * @param {Object} options
+     * @param {ChatGPTClient} options.client The client to get embeddings from (see `ChatGPTClient.getEmbeddings()`).
+     * @param {string} [options.embeddingModel] (Default: the client's embedding model)
+     * @param {Object} [options.store] The vector store (see `FileVectorStore`). (Default: a `FileVectorStore` in `storeDir`)
+     * @param {string} [options.storeDir] (Default: `./collections`)
+     * @param {number} [options.chunkSize] The maximum number of tokens per chunk. (Default: 400)
+     * @param {number} [options.chunkOverlap] The number of tokens consecutive chunks share. (Default: 50)
+     * @param {number} [options.embeddingBatchSize] The number of chunks to embed per request. (Default: 64)
+     */
+    constructor(options) {
+        this.options = options;
+        this.client = options.client;
+        this.embeddingModel = options.embeddingModel || this.client.getEmbeddingModel();
+        this.store = options.store || new FileVectorStore({ dir: options.storeDir });
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean} Whether the name can be used for a collection. Names are used as file names by `FileVectorStore`.
+     */
+    static isValidCollectionName(name) {
+        return typeof name === 'string' && /^[\w.-]{1,100}$/.test(name) && !/^\.+$/.test(name);
+    }
+
+    async listCollections() {
+        return this.store.listCollections();
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<Object|null>} The collection and its documents, or `null` if it doesn't exist.
+     */
+    async getCollection(name) {
+        if (!this.constructor.isValidCollectionName(name)) {
+            return null;
+        }
+        return this.store.getCollection(name);
+    }
+
+    /**
+     * @param {string} name
+     * @param {Object} [opts]
+     * @param {string} [opts.description]
+     * @returns {Promise<Object>} The new collection.
+     */
+    async createCollection(name, { description = null } = {}) {
+        if (!this.constructor.isValidCollectionName(name)) {
+            throw new Error('Collection names can only contain letters, numbers, underscores, dots and dashes.');
+        }
+        await this.store.createCollection({
+            name,
+            description,
+            embeddingModel: this.embeddingModel,
+            createdAt: Date.now(),
+        });
+        return this.store.getCollection(name);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<boolean>} Whether the collection existed.
+     */
+    async deleteCollection(name) {
+        if (!this.constructor.isValidCollectionName(name)) {
+            return false;
+        }
+        return this.store.deleteCollection(name);
+    }
+
+    /**
+     * Add a document to a collection, replacing the document with the same source.
+     * @param {string} collectionName
+     * @param {Object} document
+     * @param {string} document.source The name of the document, shown when it's cited (e.g. its file name).
+     * @param {string} [document.text] The text of the document.
+     * @param {Buffer} [document.data] The content of the file, instead of `text`. Its format is detected from `source`.
+     * @param {string} [document.format] "markdown", "text" or "pdf". (Default: detected from `source`, or "text")
+     * @param {Object} [opts]
+     * @param {AbortController} [opts.abortController]
+     * @param {function(Object): void} [opts.onUsage] Called with the usage of each request for embeddings
+     * (see `ChatGPTClient.getEmbeddings()`).
+     * @returns {Promise<Object>} The stored document.
+     */
+    async addDocument(collectionName, {
+        source,
+        text = null,
+        data = null,
+        format = null,
+    }, { abortController = null, onUsage = null } = {}) {
+        await this.getIndexedCollection(collectionName);
+        if (typeof source !== 'string' || !source) {
+            throw new Error('The source of the document is required.');
+        }
+        const documentFormat = format || getDocumentFormat(source) || (data ? null : 'text');
+        if (!documentFormat) {
+            throw new Error(`Unsupported file type: ${source}. Supported types are markdown, text and PDF files.`);
+        }
+        const documentText = data ? extractText(data, documentFormat) : text;
+        if (typeof documentText !== 'string' || !documentText.trim()) {
+            throw new Error(`The document ${source} has no text.`);
+        }
+
+        const chunks = chunkText(documentText, {
+            format: documentFormat,
+            chunkSize: this.options.chunkSize,
+            chunkOverlap: this.options.chunkOverlap,
+            getTokenCount: chunk => this.constructor.getTokenCount(chunk),
+        });
+        const embeddings = [];
+        const batchSize = this.options.embeddingBatchSize || 64;
+        for (let i = 0; i < chunks.length; i += batchSize) {
+            // eslint-disable-next-line no-await-in-loop
+            embeddings.push(...await this.client.getEmbeddings(
+                chunks.slice(i, i + batchSize).map(chunk => chunk.text),
+                { model: this.embeddingModel, abortController, onUsage },
+            ));
+        }
+
+        const document = {
+            id: this.constructor.getDocumentId(source),
+            source,
+            format: documentFormat,
+            chunkCount: chunks.length,
+            tokenCount: chunks.reduce((tokenCount, chunk) => tokenCount + chunk.tokenCount, 0),
+            addedAt: Date.now(),
+        };
+        await this.store.setDocument(collectionName, document, chunks.map((chunk, index) => ({
+            text: chunk.text,
+            heading: chunk.heading,
+            embedding: embeddings[index],
+        })));
+        return document;
+    }
+
+    /**
+     * Add a file, or every supported file in a directory and its subdirectories.
+     * Each file's source is its path relative to `baseDir`.
+     * @param {string} collectionName
+     * @param {string} path
+     * @param {Object} [opts]
+     * @param {string} [opts.baseDir] (Default: the current directory)
+     * @param {AbortController} [opts.abortController]
+     * @param {function(Object): void} [opts.onUsage] See `addDocument()`.
+     * @returns {Promise<Object[]>} The stored documents.
+     */
+    async addPath(collectionName, path, { baseDir = '.', abortController = null, onUsage = null } = {}) {
+        const stats = await fs.promises.stat(path);
+        let filePaths = [path];
+        if (stats.isDirectory()) {
+            const entries = await fs.promises.readdir(path, { recursive: true, withFileTypes: true });
+            filePaths = entries
+                .filter(entry => entry.isFile() && getDocumentFormat(entry.name))
+                .map(entry => `${entry.path || entry.parentPath}/${entry.name}`)
+                .sort();
+        }
+        const documents = [];
+        for (const filePath of filePaths) {
+            // eslint-disable-next-line no-await-in-loop
+            const data = await fs.promises.readFile(filePath);
+            // eslint-disable-next-line no-await-in-loop
+            documents.push(await this.addDocument(collectionName, {
+                source: getRelativePath(filePath, baseDir),
+                data,
+            }, { abortController, onUsage }));
+        }
+        return documents;
+    }
+
+    /**
+     * @param {string} collectionName
+     * @param {string} documentId
+     * @returns {Promise<boolean>} Whether the document existed.
+     */
+    async deleteDocument(collectionName, documentId) {
+        await this.getIndexedCollection(collectionName);
+        return this.store.deleteDocument(collectionName, documentId);
+    }
+
+    /**
+     * Find the chunks of a collection that are the most similar to a query.
+     * @param {string} collectionName
+     * @param {string} query
+     * @param {Object} [opts]
+     * @param {number} [opts.topK] The maximum number of chunks to return. (Default: 4)
+     * @param {number} [opts.minScore] The minimum cosine similarity of the chunks. (Default: 0)
+     * @param {AbortController} [opts.abortController]
+     * @param {function(Object): void} [opts.onUsage] Called with the usage of the query's embedding.
+     * @returns {Promise<{documentId: string, source: string, heading: string|null, text: string, score: number}[]>}
+     * The chunks, from the most to the least similar.
+     */
+    async search(collectionName, query, {
+        topK = 4,
+        minScore = 0,
+        abortController = null,
+        onUsage = null,
+    } = {}) {
+        await this.getIndexedCollection(collectionName);
+        const [embedding] = await this.client.getEmbeddings([query], { model: this.embeddingModel, abortController, onUsage });
+        const chunks = await this.store.query(collectionName, embedding, topK);
+        return chunks.filter(chunk => chunk.score >= minScore);
+    }
+
+    /**
+     * Get a collection, checking that it was indexed with this index's embedding model.
+     * @param {string} name
+     */
+    async getIndexedCollection(name) {
+        const collection = await this.getCollection(name);
+        if (!collection) {
+            throw new Error(`Collection ${name} not found.`);
+        }
+        if (collection.embeddingModel !== this.embeddingModel) {
+            throw new Error(`Collection ${name} was indexed with the embedding model ${collection.embeddingModel}, but the current embedding model is ${this.embeddingModel}. Recreate the collection to use another model.`);
+        }
+        return collection;
+    }
+
+    static getDocumentId(source) {
+        return crypto.createHash('sha256').update(source).digest('hex').substring(0, 16);
+    }
+
+    static getTokenCount(text) {
+        return ChatGPTClient.getTokenizer('cl100k_base').encode(text, 'all').length;
+    }
+}
+
+function getRelativePath(filePath, baseDir) {
+    const normalizedBaseDir = `${baseDir.replace(/\/+$/, '')}/`;
+    return filePath.startsWith(normalizedBaseDir) ? filePath.substring(normalizedBaseDir.length) : filePath;
+}
@@ -0,0 +1,205 @@
+import fs from 'fs';
+
+/**
+ * The default vector store of `DocumentIndex`: each collection is a JSON file in a directory, loaded into memory when
+ * it's first used and searched by brute force, which is fast enough for up to tens of thousands of chunks.
+ *
+ * Any object with the same methods can be used as the store instead (e.g. to use a vector database):
+ * - `listCollections()`: resolves with the collections, without their documents.
+ * - `getCollection(name)`: resolves with the collection and its `documents` (without their chunks), or `null`.
+ * - `createCollection(collection)`: stores a new collection, given its `name` and other properties.
+ * - `deleteCollection(name)`: resolves with whether the collection existed.
+ * - `setDocument(collectionName, document, chunks)`: adds a document (given its `id` and other properties) and its
+ *   chunks (`{ text, heading, embedding }` objects), replacing the document with the same ID.
+ * - `deleteDocument(collectionName, documentId)`: resolves with whether the document existed.
+ * - `query(collectionName, embedding, topK)`: resolves with the `topK` chunks that are the most similar to the
+ *   embedding, as `{ documentId, source, heading, text, score }` objects sorted by `score` (the cosine similarity).
+ */
+export default class FileVectorStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dir] The directory to store the collections in. (Default: `./collections`)
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || './collections';
+        // loaded collections, by name
+        this.collections = new Map();
+        // pending writes, by collection name, so that writes to the same file don't overlap
+        this.writes = new Map();
+    }
+
+    async listCollections() {
+        let fileNames;
+        try {
+            fileNames = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        const names = fileNames
+            .filter(fileName => fileName.endsWith('.json'))
+            .map(fileName => fileName.slice(0, -'.json'.length))
+            .sort();
+        const collections = await Promise.all(names.map(name => this.loadCollection(name)));
+        return collections
+            .filter(Boolean)
+            .map(collection => this.constructor.getCollectionSummary(collection));
+    }
+
+    async getCollection(name) {
+        const collection = await this.loadCollection(name);
+        if (!collection) {
+            return null;
+        }
+        return {
+            ...this.constructor.getCollectionSummary(collection),
+            documents: collection.documents.map(({ chunks, ...document }) => document),
+        };
+    }
+
+    async createCollection(collection) {
+        if (await this.loadCollection(collection.name)) {
+            throw new Error(`Collection ${collection.name} already exists.`);
+        }
+        const storedCollection = { ...collection, documents: [] };
+        this.collections.set(collection.name, storedCollection);
+        await this.saveCollection(storedCollection);
+    }
+
+    async deleteCollection(name) {
+        if (!await this.loadCollection(name)) {
+            return false;
+        }
+        this.collections.delete(name);
+        await this.queueWrite(name, () => fs.promises.rm(this.getFilePath(name), { force: true }));
+        return true;
+    }
+
+    async setDocument(collectionName, document, chunks) {
+        const collection = await this.getStoredCollection(collectionName);
+        collection.documents = [
+            ...collection.documents.filter(storedDocument => storedDocument.id !== document.id),
+            { ...document, chunks },
+        ];
+        await this.saveCollection(collection);
+    }
+
+    async deleteDocument(collectionName, documentId) {
+        const collection = await this.getStoredCollection(collectionName);
+        const documentCount = collection.documents.length;
+        collection.documents = collection.documents.filter(document => document.id !== documentId);
+        if (collection.documents.length === documentCount) {
+            return false;
+        }
+        await this.saveCollection(collection);
+        return true;
+    }
+
+    async query(collectionName, embedding, topK) {
+        const collection = await this.getStoredCollection(collectionName);
+        const queryNorm = getNorm(embedding);
+        const results = [];
+        for (const document of collection.documents) {
+            for (const chunk of document.chunks) {
+                if (chunk.embedding.length !== embedding.length) {
+                    throw new Error(`The embeddings of collection ${collectionName} have ${chunk.embedding.length} dimensions, but the query has ${embedding.length}.`);
+                }
+                // the norms of the chunks are computed once per loaded collection
+                chunk.norm = chunk.norm ?? getNorm(chunk.embedding);
+                results.push({
+                    documentId: document.id,
+                    source: document.source,
+                    heading: chunk.heading,
+                    text: chunk.text,
+                    score: getDotProduct(embedding, chunk.embedding) / ((queryNorm * chunk.norm) || 1),
+                });
+            }
+        }
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+
+    static getCollectionSummary({ documents, ...collection }) {
+        return {
+            ...collection,
+            documentCount: documents.length,
+            chunkCount: documents.reduce((count, document) => count + document.chunks.length, 0),
+        };
+    }
+
+    getFilePath(name) {
+        return `${this.dir}/${name}.json`;
+    }
+
+    async getStoredCollection(name) {
+        const collection = await this.loadCollection(name);
+        if (!collection) {
+            throw new Error(`Collection ${name} not found.`);
+        }
+        return collection;
+    }
+
+    async loadCollection(name) {
+        if (this.collections.has(name)) {
+            return this.collections.get(name);
+        }
+        let content;
+        try {
+            content = await fs.promises.readFile(this.getFilePath(name), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+        // another call may have loaded it in the meantime
+        if (!this.collections.has(name)) {
+            this.collections.set(name, JSON.parse(content));
+        }
+        return this.collections.get(name);
+    }
+
+    async saveCollection(collection) {
+        const { name } = collection;
+        const content = JSON.stringify({
+            ...collection,
+            documents: collection.documents.map(document => ({
+                ...document,
+                chunks: document.chunks.map(({ norm, ...chunk }) => chunk),
+            })),
+        });
+        await this.queueWrite(name, async () => {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            // write to a temporary file first, so that a crash can't leave a partly written collection
+            const tempFilePath = `${this.getFilePath(name)}.tmp`;
+            await fs.promises.writeFile(tempFilePath, content);
+            await fs.promises.rename(tempFilePath, this.getFilePath(name));
+        });
+    }
+
+    queueWrite(name, write) {
+        const previousWrite = this.writes.get(name) || Promise.resolve();
+        const nextWrite = previousWrite.catch(() => {}).then(write);
+        this.writes.set(name, nextWrite);
+        return nextWrite.finally(() => {
+            if (this.writes.get(name) === nextWrite) {
+                this.writes.delete(name);
+            }
+        });
+    }
+}
+
+function getDotProduct(a, b) {
+    let product = 0;
+    for (let i = 0; i < a.length; i++) {
+        product += a[i] * b[i];
+    }
+    return product;
+}
+
+function getNorm(vector) {
+    return Math.sqrt(getDotProduct(vector, vector));
+}
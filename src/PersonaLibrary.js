@@ -0,0 +1,151 @@
+import fs from 'fs';
+import yaml from 'js-yaml';
+
+const personaFileExtensions = ['.json', '.yaml', '.yml'];
+
+/**
+ * A library of personas, read from a directory of JSON or YAML files. The file name (without its extension) is the
+ * persona's name, and each file has the form:
+ * ```yaml
+ * label: Reviewer # (Optional) The name of the AI, used as `chatGptLabel`.
+ * description: Reviews code for bugs # (Optional)
+ * prompt: You review {{language}} code. Point out bugs first, then style issues.
+ * variables: # (Optional) Default values for the variables in the prompt.
+ *   language: JavaScript
+ * modelOptions: # (Optional) Default model options, e.g. for `ChatGPTClient`.
+ *   temperature: 0.2
+ * ```
+ * Files are read when a persona is requested, so personas can be added or edited without restarting.
+ */
+export default class PersonaLibrary {
+    /**
+     * @param {string} dir The directory with the persona files.
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    /**
+     * @returns {Promise<Object[]>} Every persona, sorted by name, each with its `name` and the variables in its prompt
+     * as `variableNames`.
+     */
+    async getPersonas() {
+        let fileNames;
+        try {
+            fileNames = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        const personaFileNames = fileNames
+            .filter(fileName => personaFileExtensions.some(extension => fileName.endsWith(extension)))
+            .sort();
+        return Promise.all(personaFileNames.map(fileName => this.readPersona(fileName)));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<Object|null>} The persona, or `null` if there is no persona with this name.
+     */
+    async getPersona(name) {
+        // names are file names, so they can't be paths
+        if (!/^[\w.-]+$/.test(name)) {
+            return null;
+        }
+        for (const extension of personaFileExtensions) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                return await this.readPersona(`${name}${extension}`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fill in the variables in a persona's prompt.
+     * @param {Object} persona As returned by `getPersona()`.
+     * @param {Object} [variables] Values for the prompt's variables, in addition to the persona's defaults.
+     * @returns {{name: string, label: string|null, prompt: string, modelOptions: Object}}
+     */
+    static render(persona, variables = {}) {
+        return {
+            name: persona.name,
+            label: persona.label,
+            prompt: this.renderTemplate(persona.prompt, { ...persona.variables, ...variables }),
+            modelOptions: persona.modelOptions,
+        };
+    }
+
+    async readPersona(fileName) {
+        const content = await fs.promises.readFile(`${this.dir}/${fileName}`, 'utf8');
+        const name = fileName.substring(0, fileName.lastIndexOf('.'));
+        let persona;
+        try {
+            persona = fileName.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+        } catch (error) {
+            throw new Error(`Invalid persona file ${fileName}: ${error.message}`);
+        }
+        if (typeof persona?.prompt !== 'string' || !persona.prompt.trim()) {
+            throw new Error(`Invalid persona file ${fileName}: the prompt is missing.`);
+        }
+        return {
+            name,
+            label: persona.label || null,
+            description: persona.description || null,
+            prompt: persona.prompt,
+            variables: persona.variables || {},
+            variableNames: this.constructor.getVariableNames(persona.prompt),
+            modelOptions: persona.modelOptions || {},
+        };
+    }
+
+    /**
+     * @param {string} template
+     * @returns {string[]} The names of the `{{variables}}` in the template, without duplicates.
+     */
+    static getVariableNames(template) {
+        return [...new Set([...template.matchAll(/{{\s*(\w+)\s*}}/g)].map(match => match[1]))];
+    }
+
+    /**
+     * Replace the `{{variables}}` in a template.
+     * @param {string} template
+     * @param {Object} variables
+     * @returns {string}
+     */
+    static renderTemplate(template, variables) {
+        const missingNames = this.getVariableNames(template).filter(variableName => variables[variableName] === undefined);
+        if (missingNames.length > 0) {
+            throw new Error(`Missing persona variables: ${missingNames.join(', ')}`);
+        }
+        return template.replace(/{{\s*(\w+)\s*}}/g, (match, variableName) => String(variables[variableName]));
+    }
+
+    /**
+     * Get the `sendMessage()` options that apply a rendered persona: its prompt as `promptPrefix` (`ChatGPTClient`) and
+     * `systemMessage` (`BingAIClient` in jailbreak mode), and its label and model options as client options.
+     * @param {Object} persona As returned by `render()`.
+     * @param {Object} [clientOptions] Client options for the message, which take precedence over the persona's.
+     * @returns {{promptPrefix: string, systemMessage: string, clientOptions: Object}}
+     */
+    static getMessageOptions(persona, clientOptions = null) {
+        const personaClientOptions = { ...clientOptions };
+        if (persona.label && !personaClientOptions.chatGptLabel) {
+            personaClientOptions.chatGptLabel = persona.label;
+        }
+        if (Object.keys(persona.modelOptions).length > 0) {
+            personaClientOptions.modelOptions = { ...persona.modelOptions, ...clientOptions?.modelOptions };
+        }
+        return {
+            promptPrefix: clientOptions?.promptPrefix || persona.prompt,
+            systemMessage: persona.prompt,
+            clientOptions: personaClientOptions,
+        };
+    }
+}
@@ -0,0 +1,86 @@
+import { EventEmitter } from 'events';
+
+/**
+ * The events of a streamed message (see `ResumableStreams`), sent to the reply that is currently attached.
+ * Emits `close` when it ends, or when it's abandoned because no client reconnected within the grace period
+ * (the same way as a reply that is closed).
+ */
+export default class ResumableStream extends EventEmitter {
+    /**
+     * @param {string} id
+     * @param {Object|null} owner
+     * @param {number} gracePeriod
+     * @param {Function} onExpire Called when a finished stream is no longer kept.
+     */
+    constructor(id, owner, gracePeriod, onExpire) {
+        super();
+        this.id = id;
+        this.owner = owner;
+        this.gracePeriod = gracePeriod;
+        this.onExpire = onExpire;
+        this.events = [];
+        this.reply = null;
+        this.finished = false;
+        this.timeout = null;
+    }
+
+    /**
+     * Send the events after `lastEventIndex` to a reply, and the following events as they're pushed.
+     * A previously attached reply is ended.
+     * @param {FastifyReply} reply
+     * @param {number} [lastEventIndex]
+     */
+    attach(reply, lastEventIndex = 0) {
+        clearTimeout(this.timeout);
+        if (this.reply) {
+            this.reply.raw.end();
+        }
+        for (const event of this.events.slice(lastEventIndex)) {
+            reply.sse(event);
+        }
+        if (this.finished) {
+            this.reply = null;
+            setTimeout(() => reply.raw.end(), 0);
+            this.startTimeout();
+            return;
+        }
+        this.reply = reply;
+        reply.raw.once('close', () => {
+            if (this.reply === reply) {
+                this.reply = null;
+                this.startTimeout();
+            }
+        });
+    }
+
+    /**
+     * @param {{event?: string, data: string}} event
+     */
+    push(event) {
+        const numberedEvent = { ...event, id: `${this.id}:${this.events.length + 1}` };
+        this.events.push(numberedEvent);
+        this.reply?.sse(numberedEvent);
+    }
+
+    end() {
+        this.finished = true;
+        this.reply?.raw.end();
+        this.reply = null;
+        this.startTimeout();
+        this.emit('close');
+    }
+
+    /**
+     * Abandon the stream if it's still generating, or forget it if it's finished, unless a client reconnects in time.
+     */
+    startTimeout() {
+        clearTimeout(this.timeout);
+        this.timeout = setTimeout(() => {
+            if (this.finished) {
+                this.onExpire();
+                return;
+            }
+            this.emit('close');
+        }, this.gracePeriod);
+    }
+}
@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+import ResumableStream from './ResumableStream.js';
+
+/**
+ * Buffers the server-sent events of streamed messages, so that a client that loses its connection can reconnect with
+ * the `Last-Event-ID` header (as `EventSource` and `fetch-event-source` do) to receive the events it missed and the
+ * rest of the stream. Events are numbered as `<stream ID>:<n>`.
+ *
+ * A disconnected stream keeps generating for `gracePeriod` milliseconds before it's abandoned, and finished streams
+ * are kept for as long, so that a client that disconnected just before the end can still get the result.
+ */
+export default class ResumableStreams {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.gracePeriod] (Default: 30000)
+     */
+    constructor(options = {}) {
+        this.gracePeriod = options.gracePeriod ?? 30000;
+        // streams that are generating or recently finished, by ID
+        this.streams = new Map();
+    }
+
+    /**
+     * @param {Object|null} owner The API key of the request, which is the only one that can resume the stream.
+     * @returns {ResumableStream}
+     */
+    create(owner = null) {
+        const id = crypto.randomUUID();
+        const stream = new ResumableStream(id, owner, this.gracePeriod, () => this.streams.delete(id));
+        this.streams.set(id, stream);
+        return stream;
+    }
+
+    /**
+     * @param {string} lastEventId The `Last-Event-ID` header of the request.
+     * @param {Object|null} owner The API key of the request.
+     * @returns {{stream: ResumableStream, lastEventIndex: number}|null} The stream, and the number of the last event
+     * the client received, or `null` if the stream doesn't exist (anymore).
+     */
+    find(lastEventId, owner = null) {
+        const [id, index] = lastEventId.split(':');
+        const stream = this.streams.get(id);
+        const lastEventIndex = Number(index);
+        if (!stream || stream.owner !== owner || !Number.isInteger(lastEventIndex) || lastEventIndex < 0) {
+            return null;
+        }
+        return { stream, lastEventIndex };
+    }
+}
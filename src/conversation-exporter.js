@@ -0,0 +1,248 @@
+import crypto from 'crypto';
+import ChatGPTClient from './ChatGPTClient.js';
+
+/**
+ * Formats that conversations can be exported to.
+ * - "markdown" and "html" render a single path through the conversation, from the root message to the selected message.
+ * - "json" is lossless: it contains the conversation record as stored, with every branch of the message tree.
+ * - "chatgpt" is the format of `conversations.json` in ChatGPT's data export, with every branch of the message tree.
+ * Only "json" and "chatgpt" can be imported.
+ */
+export const exportFormats = {
+    markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    chatgpt: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+
+/**
+ * Export a stored conversation.
+ * @param {Object} conversation The conversation record, with its ID added as `id` (see `getConversations()`).
+ * @param {string} format One of the keys of `exportFormats`.
+ * @param {string|null} messageId For "markdown" and "html", the last message of the path to render.
+ * Defaults to the last message that was added to the conversation.
+ * @returns {string}
+ */
+export function exportConversation(conversation, format = 'markdown', messageId = null) {
+    const lastMessageId = messageId || conversation.messages[conversation.messages.length - 1]?.id;
+    switch (format) {
+        case 'markdown':
+            return exportToMarkdown(conversation, ChatGPTClient.getMessagesForConversation(conversation.messages, lastMessageId));
+        case 'html':
+            return exportToHtml(conversation, ChatGPTClient.getMessagesForConversation(conversation.messages, lastMessageId));
+        case 'json':
+            return JSON.stringify({
+                format: 'node-chatgpt-api',
+                version: 1,
+                conversation,
+            }, null, 2);
+        case 'chatgpt':
+            return JSON.stringify([exportToChatGpt(conversation, lastMessageId)], null, 2);
+        default:
+            throw new Error(`Invalid export format: ${format}`);
+    }
+}
+
+/**
+ * Parse conversations exported as "json" or "chatgpt" (a single conversation or a full `conversations.json`).
+ * @param {string} content
+ * @param {string} [format] "json" or "chatgpt". Detected from the content if not set.
+ * @returns {Object[]} The conversation records, each with its original ID as `id`.
+ */
+export function importConversations(content, format = null) {
+    const data = JSON.parse(content);
+    if (!format) {
+        format = data?.format === 'node-chatgpt-api' ? 'json' : 'chatgpt';
+    }
+    switch (format) {
+        case 'json':
+            if (data?.format !== 'node-chatgpt-api' || !Array.isArray(data.conversation?.messages)) {
+                throw new Error('Invalid JSON export.');
+            }
+            return [data.conversation];
+        case 'chatgpt':
+            return (Array.isArray(data) ? data : [data]).map(importFromChatGpt);
+        default:
+            throw new Error(`Invalid import format: ${format}`);
+    }
+}
+
+/**
+ * Import exported conversations into a client's `conversationsCache`.
+ * Conversations keep their ID, unless a conversation with that ID already exists, in which case they get a new one.
+ * @param {Keyv} cache
+ * @param {string} content
+ * @param {string} [format] "json" or "chatgpt". Detected from the content if not set.
+ * @returns {Promise<Object[]>} The imported conversation records, each with its new ID as `id`.
+ */
+export async function importConversationsToCache(cache, content, format = null) {
+    const imported = [];
+    for (const { id, ...conversation } of importConversations(content, format)) {
+        let conversationId = id || crypto.randomUUID();
+        // eslint-disable-next-line no-await-in-loop
+        if (await cache.get(conversationId)) {
+            conversationId = crypto.randomUUID();
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await cache.set(conversationId, conversation);
+        imported.push({ id: conversationId, ...conversation });
+    }
+    return imported;
+}
+
+function getRoleLabel(message) {
+    return message.role === 'Tool' ? `Tool (${message.name})` : message.role;
+}
+
+function exportToMarkdown(conversation, orderedMessages) {
+    const conversationString = orderedMessages.map(message => `#### ${getRoleLabel(message)}:\n${message.message}`).join('\n\n');
+    if (conversation.title) {
+        return `# ${conversation.title}\n\n${conversationString}`;
+    }
+    return conversationString;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function exportToHtml(conversation, orderedMessages) {
+    const title = escapeHtml(conversation.title || 'Conversation');
+    const messagesHtml = orderedMessages.map(message => `    <div class="message ${message.role === 'User' ? 'user' : 'assistant'}">
+      <div class="role">${escapeHtml(getRoleLabel(message))}</div>
+      <div class="content">${escapeHtml(message.message)}</div>
+    </div>`).join('\n');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; }
+    .message { margin: 1rem 0; padding: 0.75rem 1rem; border-radius: 0.5rem; }
+    .user { background: #f0f0f0; }
+    .assistant { background: #e8f4ff; }
+    .role { font-weight: bold; margin-bottom: 0.25rem; }
+    .content { white-space: pre-wrap; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+${messagesHtml}
+</body>
+</html>
+`;
+}
+
+function exportToChatGpt(conversation, currentNodeId) {
+    const messageIds = new Set(conversation.messages.map(message => message.id));
+    // messages without a stored parent are attached to a single root node, like in ChatGPT's export
+    const rootId = conversation.messages.find(message => !messageIds.has(message.parentMessageId))?.parentMessageId
+        || crypto.randomUUID();
+    const createTime = conversation.createdAt ? conversation.createdAt / 1000 : null;
+
+    const mapping = {
+        [rootId]: {
+            id: rootId,
+            message: null,
+            parent: null,
+            children: [],
+        },
+    };
+    for (const message of conversation.messages) {
+        let role;
+        if (message.role === 'User') {
+            role = 'user';
+        } else if (message.role === 'Tool') {
+            role = 'tool';
+        } else {
+            role = 'assistant';
+        }
+        mapping[message.id] = {
+            id: message.id,
+            message: {
+                id: message.id,
+                author: {
+                    role,
+                    name: message.role === 'Tool' ? message.name : null,
+                    metadata: {},
+                },
+                create_time: createTime,
+                update_time: null,
+                content: {
+                    content_type: 'text',
+                    parts: [message.message],
+                },
+                status: 'finished_successfully',
+                end_turn: role === 'assistant' ? true : null,
+                weight: 1.0,
+                metadata: {},
+                recipient: 'all',
+            },
+            parent: messageIds.has(message.parentMessageId) ? message.parentMessageId : rootId,
+            children: [],
+        };
+    }
+    for (const node of Object.values(mapping)) {
+        if (node.parent) {
+            mapping[node.parent].children.push(node.id);
+        }
+    }
+
+    return {
+        title: conversation.title || 'New chat',
+        create_time: createTime,
+        update_time: createTime,
+        mapping,
+        moderation_results: [],
+        current_node: currentNodeId || rootId,
+        plugin_ids: null,
+        conversation_id: conversation.id,
+        id: conversation.id,
+    };
+}
+
+function importFromChatGpt(chatGptConversation) {
+    if (!chatGptConversation?.mapping) {
+        throw new Error('Invalid ChatGPT export.');
+    }
+    const { mapping } = chatGptConversation;
+    const isImportedNode = node => ['user', 'assistant', 'tool'].includes(node?.message?.author?.role);
+
+    const nodes = Object.values(mapping)
+        .filter(isImportedNode)
+        .sort((a, b) => (a.message.create_time || 0) - (b.message.create_time || 0));
+    const messages = nodes.map((node) => {
+        // skip over nodes that aren't imported, like the root and system messages
+        let parentNode = mapping[node.parent];
+        while (parentNode && !isImportedNode(parentNode)) {
+            parentNode = mapping[parentNode.parent];
+        }
+        const { author, content } = node.message;
+        const message = {
+            id: node.id,
+            parentMessageId: parentNode?.id || node.parent || crypto.randomUUID(),
+            role: { user: 'User', assistant: 'ChatGPT', tool: 'Tool' }[author.role],
+            message: (content?.parts || []).filter(part => typeof part === 'string').join('\n'),
+        };
+        if (author.role === 'tool') {
+            message.name = author.name;
+        }
+        return message;
+    });
+
+    const conversation = {
+        id: chatGptConversation.conversation_id || chatGptConversation.id,
+        messages,
+        createdAt: chatGptConversation.create_time ? Math.round(chatGptConversation.create_time * 1000) : Date.now(),
+    };
+    if (chatGptConversation.title) {
+        conversation.title = chatGptConversation.title;
+    }
+    return conversation;
+}
@@ -0,0 +1,144 @@
+/**
+ * Helpers for browsing the conversations stored in a client's `conversationsCache`.
+ * Keyv has no common way of listing keys, so this supports stores that expose `keys()` (`Map`, `keyv-file`)
+ * and stores that Keyv can iterate (Redis, SQL, Mongo...).
+ */
+
+/**
+ * Iterate through every conversation in the given Keyv namespace.
+ * Other records stored in the same namespace (e.g. the CLI's `lastConversation`) are skipped.
+ * @param {Keyv} cache
+ * @returns {AsyncGenerator<[string, Object]>} `[conversationId, conversation]` pairs.
+ */
+export async function* iterateConversations(cache) {
+    const { store, namespace } = cache.opts;
+    if (typeof store.keys === 'function') {
+        const prefix = `${namespace}:`;
+        for (const key of [...store.keys()]) {
+            if (!key.startsWith(prefix)) {
+                continue;
+            }
+            const conversationId = key.substring(prefix.length);
+            // eslint-disable-next-line no-await-in-loop
+            const conversation = await cache.get(conversationId);
+            if (isConversation(conversation)) {
+                yield [conversationId, conversation];
+            }
+        }
+        return;
+    }
+    if (typeof cache.iterator !== 'function') {
+        throw new Error('The configured cache store does not support listing conversations.');
+    }
+    // Keyv iterates using the namespace saved on the store, which is overwritten by every Keyv instance sharing it.
+    store.namespace = namespace;
+    for await (const [conversationId, conversation] of cache.iterator()) {
+        if (isConversation(conversation)) {
+            yield [conversationId, conversation];
+        }
+    }
+}
+
+/**
+ * Get every conversation in the given Keyv namespace, most recently created first.
+ * @param {Keyv} cache
+ * @returns {Promise<Object[]>} The conversations, each with its ID added as `id`.
+ */
+export async function getConversations(cache) {
+    const conversations = [];
+    for await (const [conversationId, conversation] of iterateConversations(cache)) {
+        conversations.push({ id: conversationId, ...conversation });
+    }
+    return conversations.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+/**
+ * Summarize a conversation for listing, without its messages.
+ * @param {Object} conversation A conversation as returned by `getConversations()`.
+ */
+export function getConversationSummary(conversation) {
+    const firstMessage = conversation.messages.find(message => message.role === 'User');
+    return {
+        id: conversation.id,
+        title: conversation.title || null,
+        createdAt: conversation.createdAt || null,
+        messageCount: conversation.messages.length,
+        firstMessage: firstMessage?.message ?? null,
+        usage: conversation.usage || null,
+    };
+}
+
+/**
+ * Get the variants of a message: the messages that share its parent, including the message itself.
+ * Regenerated replies and edited messages are stored as siblings of the message they replace.
+ * @param {Object[]} messages
+ * @param {string} messageId
+ * @returns {Object[]} The variants in the order they were created, or an empty array if the message doesn't exist.
+ */
+export function getSiblingMessages(messages, messageId) {
+    const message = messages.find(m => m.id === messageId);
+    if (!message) {
+        return [];
+    }
+    return messages.filter(m => m.parentMessageId === message.parentMessageId);
+}
+
+/**
+ * Score how well a query fuzzy-matches a text: the query's characters (ignoring whitespace) must all appear in the text,
+ * in order and case-insensitively. Consecutive characters and characters at the start of a word score higher.
+ * @param {string} query
+ * @param {string} text
+ * @returns {number|null} The score (higher is better), or `null` if the text doesn't match.
+ */
+export function getFuzzyScore(query, text) {
+    const lowerText = text.toLowerCase();
+    let score = 0;
+    let previousIndex = -2;
+    for (const char of query.toLowerCase().replace(/\s+/g, '')) {
+        const index = lowerText.indexOf(char, previousIndex + 1);
+        if (index === -1) {
+            return null;
+        }
+        score += 1;
+        if (index === previousIndex + 1) {
+            score += 2;
+        }
+        if (index === 0 || /[^a-z0-9]/.test(lowerText[index - 1])) {
+            score += 3;
+        }
+        previousIndex = index;
+    }
+    return score;
+}
+
+/**
+ * Search the messages of conversations for all the words in a query (case-insensitive).
+ * @param {Object[]} conversations As returned by `getConversations()`.
+ * @param {string} query
+ * @returns {{conversation: Object, message: Object, snippet: string}[]} For each conversation with a matching message,
+ * its first matching message and the text around the first word, in the order of `conversations`.
+ */
+export function searchConversations(conversations, query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+        return [];
+    }
+    const results = [];
+    for (const conversation of conversations) {
+        const message = conversation.messages.find(
+            m => typeof m.message === 'string' && words.every(word => m.message.toLowerCase().includes(word)),
+        );
+        if (message) {
+            const index = message.message.toLowerCase().indexOf(words[0]);
+            const start = Math.max(0, index - 40);
+            const end = Math.min(message.message.length, index + words[0].length + 40);
+            const snippet = `${start > 0 ? '…' : ''}${message.message.substring(start, end)}${end < message.message.length ? '…' : ''}`;
+            results.push({ conversation, message, snippet: snippet.replace(/\s+/g, ' ') });
+        }
+    }
+    return results;
+}
+
+function isConversation(value) {
+    return Boolean(value) && Array.isArray(value.messages);
+}
@@ -0,0 +1,158 @@
+import extractPdfText from './pdf-text.js';
+
+/**
+ * The file types that can be added to a `DocumentIndex`, by extension.
+ */
+export const documentFormats = {
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.txt': 'text',
+    '.pdf': 'pdf',
+};
+
+/**
+ * Get the format of a file from its name.
+ * @param {string} fileName
+ * @returns {string|null} "markdown", "text", "pdf", or `null` if the file type isn't supported.
+ */
+export function getDocumentFormat(fileName) {
+    const extensionIndex = fileName.lastIndexOf('.');
+    if (extensionIndex === -1) {
+        return null;
+    }
+    return documentFormats[fileName.substring(extensionIndex).toLowerCase()] || null;
+}
+
+/**
+ * Extract the text of a document.
+ * @param {Buffer} data The content of the file.
+ * @param {string} format As returned by `getDocumentFormat()`.
+ * @returns {string}
+ */
+export function extractText(data, format) {
+    if (format === 'pdf') {
+        return extractPdfText(data);
+    }
+    return data.toString('utf8');
+}
+
+/**
+ * Split a document into chunks of up to `chunkSize` tokens, at paragraph boundaries where possible (then at sentence,
+ * then at word boundaries). Consecutive chunks overlap by up to `chunkOverlap` tokens of whole paragraphs or sentences,
+ * so that text near a boundary keeps its context. In markdown, each section starts a new chunk,
+ * and chunks have the heading of their section as `heading`.
+ * @param {string} text
+ * @param {Object} opts
+ * @param {function(string): number} opts.getTokenCount
+ * @param {string} [opts.format] "markdown" or "text". (Default: "text")
+ * @param {number} [opts.chunkSize] (Default: 400)
+ * @param {number} [opts.chunkOverlap] (Default: 50)
+ * @returns {{text: string, heading: string|null, tokenCount: number}[]}
+ */
+export function chunkText(text, {
+    getTokenCount,
+    format = 'text',
+    chunkSize = 400,
+    chunkOverlap = 50,
+}) {
+    const chunks = [];
+    let pieces = [];
+    let tokenCount = 0;
+    let heading = null;
+
+    const addChunk = () => {
+        if (pieces.length > 0) {
+            chunks.push({
+                text: pieces.map(piece => piece.text).join('\n\n'),
+                heading,
+                tokenCount,
+            });
+        }
+    };
+    const startChunk = (overlap) => {
+        pieces = [];
+        tokenCount = 0;
+        // keep the last pieces that fit in the overlap
+        for (let i = overlap.length - 1; i >= 0; i--) {
+            if (tokenCount + overlap[i].tokenCount > chunkOverlap) {
+                break;
+            }
+            pieces.unshift(overlap[i]);
+            tokenCount += overlap[i].tokenCount;
+        }
+    };
+
+    for (const paragraph of getParagraphs(text)) {
+        const headingMatch = format === 'markdown' ? paragraph.split('\n')[0].match(/^#{1,6}\s+(.+?)(?:\s+#+)?\s*$/) : null;
+        if (headingMatch) {
+            addChunk();
+            startChunk([]);
+            [, heading] = headingMatch;
+        }
+        for (const piece of splitPiece(paragraph, getTokenCount, chunkSize)) {
+            if (tokenCount + piece.tokenCount > chunkSize && pieces.length > 0) {
+                addChunk();
+                startChunk(pieces);
+                if (tokenCount + piece.tokenCount > chunkSize) {
+                    startChunk([]);
+                }
+            }
+            pieces.push(piece);
+            tokenCount += piece.tokenCount;
+        }
+    }
+    addChunk();
+    return chunks;
+}
+
+function getParagraphs(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Split text that is longer than `maxTokens` into sentences, splitting sentences that are still too long into words.
+ * @returns {{text: string, tokenCount: number}[]}
+ */
+function splitPiece(text, getTokenCount, maxTokens) {
+    const tokenCount = getTokenCount(text);
+    if (tokenCount <= maxTokens) {
+        return [{ text, tokenCount }];
+    }
+    const parts = text.split(/(?<=[.!?])\s+/).flatMap((sentence) => {
+        if (getTokenCount(sentence) <= maxTokens) {
+            return [sentence];
+        }
+        return mergePieces(sentence.split(/\s+/), ' ', getTokenCount, maxTokens);
+    });
+    return mergePieces(parts, ' ', getTokenCount, maxTokens)
+        .map(piece => ({ text: piece, tokenCount: getTokenCount(piece) }));
+}
+
+/**
+ * Join consecutive parts while they fit in `maxTokens`. The token counts of the parts are added up, which can be off by
+ * a token or so at each boundary. A single part longer than `maxTokens` (e.g. a base64 string) is kept whole.
+ * @returns {string[]}
+ */
+function mergePieces(parts, separator, getTokenCount, maxTokens) {
+    const pieces = [];
+    let current = '';
+    let currentTokenCount = 0;
+    for (const part of parts) {
+        const partTokenCount = getTokenCount(`${separator}${part}`);
+        if (current && currentTokenCount + partTokenCount > maxTokens) {
+            pieces.push(current);
+            current = '';
+            currentTokenCount = 0;
+        }
+        current = current ? `${current}${separator}${part}` : part;
+        currentTokenCount += partTokenCount;
+    }
+    if (current) {
+        pieces.push(current);
+    }
+    return pieces;
+}
@@ -0,0 +1,157 @@
+/**
+ * Images sent to vision models by `ChatGPTClient`, as `{ url, detail }` objects in the format of OpenAI's `image_url`
+ * content parts, where `url` is either a URL or a data URL with the image encoded as base64.
+ */
+
+const imageTypes = [
+    { mimeType: 'image/png', matches: data => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: 'image/jpeg', matches: data => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff },
+    { mimeType: 'image/gif', matches: data => data.toString('latin1', 0, 4) === 'GIF8' },
+    { mimeType: 'image/webp', matches: data => data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP' },
+];
+
+const imageDetails = ['low', 'high', 'auto'];
+
+// the tokens OpenAI counts for an image with `detail: "low"`, and for each 512px tile of an image otherwise
+const BASE_IMAGE_TOKENS = 85;
+const IMAGE_TILE_TOKENS = 170;
+
+/**
+ * Get the images of a message from the `sendMessage()` options: `imageURL`, `imageBase64` (as taken by
+ * `BingAIClient`), and `images`, an array of URLs, data URLs, base64 strings, or objects with a `url` or `base64`
+ * and an optional `detail` ("low", "high" or "auto").
+ * @param {Object} opts
+ * @returns {{url: string, detail?: string}[]}
+ */
+export function getMessageImages({ imageURL = null, imageBase64 = null, images = [] }) {
+    if (!Array.isArray(images)) {
+        throw new Error('The images option must be an array.');
+    }
+    return [imageURL, imageBase64, ...images]
+        .filter(Boolean)
+        .map((image) => {
+            const { url = null, base64 = null, detail = null } = typeof image === 'string' ? { url: image } : image;
+            if (detail !== null && !imageDetails.includes(detail)) {
+                throw new Error(`Invalid image detail: ${detail}. Valid values: ${imageDetails.join(', ')}.`);
+            }
+            let imageUrl = url;
+            if (base64 || !/^(https?:|data:)/.test(url || '')) {
+                imageUrl = getDataUrl(base64 || url || '');
+            } else if (url.startsWith('data:') && !parseDataUrl(url)) {
+                throw new Error('Image data URLs must be base64-encoded PNG, JPEG, GIF or WebP images.');
+            }
+            return detail ? { url: imageUrl, detail } : { url: imageUrl };
+        });
+}
+
+/**
+ * @param {string} base64
+ * @returns {string} The image as a data URL, with its type detected from its content.
+ */
+export function getDataUrl(base64) {
+    const data = Buffer.from(base64, 'base64');
+    const mimeType = getImageMimeType(data);
+    if (!mimeType) {
+        throw new Error('Unsupported image. Images must be PNG, JPEG, GIF or WebP.');
+    }
+    return `data:${mimeType};base64,${data.toString('base64')}`;
+}
+
+/**
+ * @param {string} url
+ * @returns {{mimeType: string, base64: string}|null} The type and content of an image data URL, or `null` if the URL
+ * isn't a base64 data URL.
+ */
+export function parseDataUrl(url) {
+    const match = url.match(/^data:(image\/[\w.+-]+);base64,(.*)$/s);
+    return match ? { mimeType: match[1], base64: match[2] } : null;
+}
+
+/**
+ * @param {Buffer} data
+ * @returns {string|null} The MIME type of a PNG, JPEG, GIF or WebP image, or `null` for anything else.
+ */
+export function getImageMimeType(data) {
+    return imageTypes.find(imageType => imageType.matches(data))?.mimeType || null;
+}
+
+/**
+ * Read the width and height from the header of a PNG, JPEG, GIF or WebP image.
+ * @param {Buffer} data The image, or at least its beginning.
+ * @returns {{width: number, height: number}|null}
+ */
+export function getImageDimensions(data) {
+    try {
+        switch (getImageMimeType(data)) {
+            case 'image/png':
+                return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+            case 'image/gif':
+                return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+            case 'image/webp':
+                return getWebpDimensions(data);
+            case 'image/jpeg':
+                return getJpegDimensions(data);
+            default:
+                return null;
+        }
+    } catch {
+        // the header is cut off
+        return null;
+    }
+}
+
+/**
+ * Count the tokens of an image as OpenAI does: images are scaled to fit in 2048x2048, then so that their shortest side
+ * is at most 768px, and each 512px tile counts 170 tokens, plus 85. Images with `detail: "low"` count 85 tokens.
+ * The size of images sent by URL is unknown, so they're counted as a 1024x1024 image (765 tokens).
+ * @param {{url: string, detail?: string}} image
+ * @returns {number}
+ */
+export function getImageTokenCount(image) {
+    if (image.detail === 'low') {
+        return BASE_IMAGE_TOKENS;
+    }
+    const dataUrl = parseDataUrl(image.url);
+    // the dimensions are in the header, so there's no need to decode the whole image
+    const dimensions = dataUrl ? getImageDimensions(Buffer.from(dataUrl.base64.substring(0, 128 * 1024), 'base64')) : null;
+    let { width, height } = dimensions || { width: 1024, height: 1024 };
+    const fitScale = Math.min(1, 2048 / Math.max(width, height));
+    width *= fitScale;
+    height *= fitScale;
+    const shortSideScale = Math.min(1, 768 / Math.min(width, height));
+    width *= shortSideScale;
+    height *= shortSideScale;
+    return BASE_IMAGE_TOKENS + (IMAGE_TILE_TOKENS * Math.ceil(width / 512) * Math.ceil(height / 512));
+}
+
+function getJpegDimensions(data) {
+    let offset = 2;
+    while (offset + 9 < data.length) {
+        if (data[offset] !== 0xff) {
+            return null;
+        }
+        const marker = data[offset + 1];
+        // the "start of frame" markers, which hold the dimensions (0xc4, 0xc8 and 0xcc are other markers)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + data.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+function getWebpDimensions(data) {
+    switch (data.toString('latin1', 12, 16)) {
+        case 'VP8 ':
+            return { width: data.readUInt16LE(26) % 0x4000, height: data.readUInt16LE(28) % 0x4000 };
+        case 'VP8L': {
+            // 14 bits each, minus one
+            const bits = data.readUInt32LE(21);
+            return { width: (bits % 0x4000) + 1, height: (Math.floor(bits / 0x4000) % 0x4000) + 1 };
+        }
+        case 'VP8X':
+            return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Minimal Prometheus metrics, rendered in the text exposition format (version 0.0.4) by `MetricsRegistry.render()`.
+ * Labels are passed as objects, e.g. `counter.inc({ client: 'bing', status: 200 })`.
+ */
+export const defaultBuckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+export default class MetricsRegistry {
+    static contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+    constructor() {
+        this.metrics = [];
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @returns {{inc: function(Object=, number=): void}}
+     */
+    counter(name, help, labelNames = []) {
+        return this.register(createCounter('counter', name, help, labelNames));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @returns {{inc: function(Object=, number=): void, dec: function(Object=, number=): void}}
+     */
+    gauge(name, help, labelNames = []) {
+        const metric = createCounter('gauge', name, help, labelNames);
+        metric.dec = (labels = {}, value = 1) => metric.inc(labels, -value);
+        return this.register(metric);
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {number[]} [buckets] The upper bounds of the buckets, in ascending order.
+     * @returns {{observe: function(Object, number): void}}
+     */
+    histogram(name, help, labelNames = [], buckets = defaultBuckets) {
+        const metric = createMetric('histogram', name, help, labelNames);
+        metric.observe = (labels, value) => {
+            const key = getKey(metric, labels);
+            if (!metric.values.has(key)) {
+                metric.values.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+            const observations = metric.values.get(key);
+            buckets.forEach((bucket, i) => {
+                if (value <= bucket) {
+                    observations.counts[i] += 1;
+                }
+            });
+            observations.sum += value;
+            observations.count += 1;
+        };
+        metric.render = () => {
+            const lines = [];
+            for (const [key, { counts, sum, count }] of metric.values) {
+                buckets.forEach((bucket, i) => {
+                    lines.push(`${name}_bucket${formatLabels(metric, key, { le: bucket })} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels(metric, key, { le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(metric, key)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(metric, key)} ${count}`);
+            }
+            return lines;
+        };
+        return this.register(metric);
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * @returns {string} All metrics in the Prometheus text format.
+     */
+    render() {
+        return `${this.metrics.map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.render(),
+        ].join('\n')).join('\n')}\n`;
+    }
+}
+
+function createMetric(type, name, help, labelNames) {
+    return {
+        type,
+        name,
+        help,
+        labelNames,
+        // label values (as a key) => value. Metrics without labels start at 0, as there's only one series.
+        values: new Map(labelNames.length === 0 && type !== 'histogram' ? [['[]', 0]] : []),
+    };
+}
+
+function createCounter(type, name, help, labelNames) {
+    const metric = createMetric(type, name, help, labelNames);
+    metric.inc = (labels = {}, value = 1) => {
+        const key = getKey(metric, labels);
+        metric.values.set(key, (metric.values.get(key) || 0) + value);
+    };
+    metric.render = () => [...metric.values].map(([key, value]) => `${name}${formatLabels(metric, key)} ${value}`);
+    return metric;
+}
+
+function getKey(metric, labels = {}) {
+    return JSON.stringify(metric.labelNames.map(labelName => String(labels[labelName] ?? '')));
+}
+
+/**
+ * @param {Object} metric
+ * @param {string} key
+ * @param {Object} [extraLabels] Labels to add after the metric's own, like a histogram's `le`.
+ */
+function formatLabels(metric, key, extraLabels = {}) {
+    const labelValues = JSON.parse(key);
+    const labels = [
+        ...metric.labelNames.map((labelName, i) => [labelName, labelValues[i]]),
+        ...Object.entries(extraLabels),
+    ];
+    if (labels.length === 0) {
+        return '';
+    }
+    return `{${labels.map(([labelName, value]) => `${labelName}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
@@ -0,0 +1,307 @@
+import zlib from 'zlib';
+
+// limits on the decompressed streams, so that a small file can't decompress to gigabytes (a "deflate bomb")
+const MAX_STREAM_SIZE = 16 * 1024 * 1024;
+const MAX_TOTAL_STREAM_SIZE = 64 * 1024 * 1024;
+// the maximum length of the extracted text, in characters
+const MAX_TEXT_LENGTH = 4 * 1024 * 1024;
+
+/**
+ * Extract the text layer of a PDF, for `DocumentIndex`. This is a minimal extractor without dependencies: it reads the
+ * text drawn by the content streams (uncompressed or compressed with FlateDecode), in the order the streams appear in
+ * the file, and decodes strings as Latin-1 or UTF-16. It can't read scanned PDFs (which have no text layer), or text in
+ * fonts with custom encodings (e.g. the subset fonts using `Identity-H` of most PDFs made by Word or Chrome), whose
+ * strings are glyph IDs rather than characters. Such strings are detected and left out, so a PDF that only has such
+ * text has no text. Convert such PDFs to text with another tool first.
+ * @param {Buffer} data
+ * @returns {string}
+ */
+export default function extractPdfText(data) {
+    const source = data.toString('latin1');
+    if (!source.startsWith('%PDF-')) {
+        throw new Error('The file is not a PDF.');
+    }
+    const texts = [];
+    let totalStreamSize = 0;
+    let textLength = 0;
+    const streamPattern = /stream\r?\n/g;
+    let match;
+    // eslint-disable-next-line no-cond-assign
+    while ((match = streamPattern.exec(source)) !== null) {
+        const dataStart = match.index + match[0].length;
+        const dataEnd = source.indexOf('endstream', dataStart);
+        if (dataEnd === -1) {
+            break;
+        }
+        streamPattern.lastIndex = dataEnd + 'endstream'.length;
+        // the stream's dictionary is between the start of its object and the "stream" keyword
+        const dictionary = source.substring(source.lastIndexOf(' obj', match.index), match.index);
+        if (!isContentStream(dictionary)) {
+            continue;
+        }
+        const content = decodeStream(data.subarray(dataStart, dataEnd), dictionary);
+        if (!content) {
+            continue;
+        }
+        totalStreamSize += content.length;
+        if (totalStreamSize > MAX_TOTAL_STREAM_SIZE) {
+            throw new Error(`The PDF's content is larger than ${MAX_TOTAL_STREAM_SIZE / 1024 / 1024} MB when decompressed.`);
+        }
+        const text = getContentText(content.toString('latin1'));
+        if (text) {
+            textLength += text.length;
+            if (textLength > MAX_TEXT_LENGTH) {
+                throw new Error(`The PDF has more than ${MAX_TEXT_LENGTH / 1024 / 1024} million characters of text.`);
+            }
+            texts.push(text);
+        }
+    }
+    return texts.join('\n\n');
+}
+
+function isContentStream(dictionary) {
+    // images, fonts, metadata, cross-reference and object streams
+    return !/\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType|XML)|\/Type\s*\/(XRef|ObjStm|Metadata|EmbeddedFile)|\/Length[123]\b/.test(dictionary);
+}
+
+/**
+ * @returns {Buffer|null} The decoded stream, or `null` if it uses a filter other than FlateDecode.
+ */
+function decodeStream(streamData, dictionary) {
+    const filters = [...(dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '').matchAll(/\/(\w+)/g)]
+        .map(filterMatch => filterMatch[1]);
+    if (filters.length === 0) {
+        return streamData;
+    }
+    if (filters.length > 1 || filters[0] !== 'FlateDecode') {
+        return null;
+    }
+    try {
+        // the end of the data may include the line break before "endstream", or be cut off
+        return zlib.inflateSync(streamData, {
+            finishFlush: zlib.constants.Z_SYNC_FLUSH,
+            maxOutputLength: MAX_STREAM_SIZE,
+        });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`The PDF has a stream larger than ${MAX_STREAM_SIZE / 1024 / 1024} MB when decompressed.`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Get the text drawn by a content stream's text operators, starting a new line when the text moves to another line.
+ * @param {string} content
+ * @returns {string}
+ */
+function getContentText(content) {
+    let text = '';
+    let operands = [];
+    let lastLineY = null;
+    const newLine = () => {
+        if (text && !text.endsWith('\n')) {
+            text += '\n';
+        }
+    };
+    const space = () => {
+        if (text && !/\s/.test(text[text.length - 1])) {
+            text += ' ';
+        }
+    };
+
+    let index = 0;
+    while (index < content.length) {
+        const char = content[index];
+        if (/\s/.test(char)) {
+            index += 1;
+        } else if (char === '%') {
+            // a comment
+            index = matchAt(/[^\r\n]*/y, content, index).end;
+        } else if (char === '(') {
+            const { value, end } = readLiteralString(content, index);
+            operands.push(value);
+            index = end;
+        } else if (char === '<' && content[index + 1] !== '<') {
+            const end = content.indexOf('>', index);
+            operands.push(readHexString(content.substring(index + 1, end === -1 ? content.length : end)));
+            index = end === -1 ? content.length : end + 1;
+        } else if (char === '[') {
+            operands.push('[');
+            index += 1;
+        } else if (char === ']') {
+            // collect the array's elements into an array operand
+            const start = operands.lastIndexOf('[');
+            const elements = start === -1 ? [] : operands.splice(start);
+            operands.push(elements.slice(1));
+            index += 1;
+        } else if (/[\d.+-]/.test(char)) {
+            const number = matchAt(/[+-]?(\d+\.?\d*|\.\d+)/y, content, index);
+            operands.push(Number(number.value) || 0);
+            index = Math.max(number.end, index + 1);
+        } else if (/[a-zA-Z'"*]/.test(char)) {
+            const { value: operator, end: operatorEnd } = matchAt(/[a-zA-Z'"*\d]+/y, content, index);
+            index = operatorEnd;
+            switch (operator) {
+                case 'BT':
+                    lastLineY = null;
+                    break;
+                case 'ET':
+                    newLine();
+                    break;
+                case 'Td':
+                case 'TD':
+                    if (operands[1]) {
+                        newLine();
+                    } else {
+                        space();
+                    }
+                    break;
+                case 'Tm': {
+                    const y = operands[5];
+                    if (lastLineY !== null && y !== lastLineY) {
+                        newLine();
+                    }
+                    lastLineY = y;
+                    break;
+                }
+                case 'T*':
+                    newLine();
+                    break;
+                case 'Tj':
+                    text += getOperandText(operands[0]);
+                    break;
+                case "'":
+                case '"':
+                    newLine();
+                    text += getOperandText(operands[operands.length - 1]);
+                    break;
+                case 'TJ':
+                    for (const element of Array.isArray(operands[0]) ? operands[0] : []) {
+                        if (typeof element === 'number') {
+                            // a large negative adjustment moves the text right, usually to separate words
+                            if (element < -200) {
+                                space();
+                            }
+                        } else {
+                            text += getOperandText(element);
+                        }
+                    }
+                    break;
+                case 'ID': {
+                    // inline image data, which ends with "EI"
+                    const end = content.indexOf('EI', index);
+                    index = end === -1 ? content.length : end + 2;
+                    break;
+                }
+                default:
+                    break;
+            }
+            operands = [];
+        } else {
+            // names, dictionaries and anything else that isn't needed
+            index = Math.max(matchAt(/\/[^\s/[\]()<>{}%]*|<<|>>/y, content, index).end, index + 1);
+        }
+    }
+    return text
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Match a sticky regular expression at an index.
+ * @returns {{value: string, end: number}} The match (empty if there is none), and the index after it.
+ */
+function matchAt(pattern, content, index) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(content);
+    return match ? { value: match[0], end: index + match[0].length } : { value: '', end: index };
+}
+
+function getOperandText(operand) {
+    return typeof operand === 'string' ? operand : '';
+}
+
+/**
+ * @returns {{value: string, end: number}} The decoded string, and the index after its closing parenthesis.
+ */
+function readLiteralString(content, start) {
+    const escapes = {
+        n: '\n', r: '\r', t: '\t', b: '\b', f: '\f',
+    };
+    let bytes = '';
+    let depth = 1;
+    let index = start + 1;
+    while (index < content.length) {
+        const char = content[index];
+        if (char === '\\') {
+            const next = content[index + 1];
+            const octal = matchAt(/[0-7]{1,3}/y, content, index + 1);
+            if (octal.value) {
+                bytes += String.fromCharCode(parseInt(octal.value, 8) % 256);
+                index = octal.end;
+                continue;
+            }
+            if (next === '\r' || next === '\n') {
+                // a line continuation
+                index += content.startsWith('\r\n', index + 1) ? 3 : 2;
+                continue;
+            }
+            bytes += escapes[next] ?? next ?? '';
+            index += 2;
+            continue;
+        }
+        if (char === '(') {
+            depth += 1;
+        } else if (char === ')') {
+            depth -= 1;
+            if (depth === 0) {
+                break;
+            }
+        }
+        bytes += char;
+        index += 1;
+    }
+    return { value: decodeString(bytes), end: index + 1 };
+}
+
+function readHexString(hex) {
+    const digits = hex.replace(/[^0-9a-fA-F]/g, '');
+    let bytes = '';
+    for (let i = 0; i < digits.length; i += 2) {
+        // a missing last digit is 0
+        bytes += String.fromCharCode(parseInt(digits.substring(i, i + 2).padEnd(2, '0'), 16));
+    }
+    return decodeString(bytes);
+}
+
+/**
+ * Decode the bytes of a string (as Latin-1 characters), which are UTF-16BE if they start with a byte order mark.
+ * Strings of glyph IDs (from fonts with custom encodings) are mostly control characters, since glyph IDs are small
+ * numbers (two bytes per glyph with `Identity-H`, whose first byte is usually 0), so they are left out.
+ */
+function decodeString(bytes) {
+    if (bytes.startsWith('\xfe\xff')) {
+        return removeControlCharacters(decodeUtf16(bytes.substring(2)));
+    }
+    const text = removeControlCharacters(bytes);
+    if (bytes.length - text.length > bytes.length * 0.3) {
+        return '';
+    }
+    return text;
+}
+
+function removeControlCharacters(value) {
+    // eslint-disable-next-line no-control-regex
+    return value.replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+}
+
+function decodeUtf16(bytes) {
+    let value = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        value += String.fromCharCode((bytes.charCodeAt(i) * 256) + bytes.charCodeAt(i + 1));
+    }
+    return value;
+}
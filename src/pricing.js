@@ -0,0 +1,59 @@
+/**
+ * Estimated prices in USD per million tokens, used to estimate the cost of completions and embeddings.
+ * Embedding models only have prompt tokens.
+ * Models are matched by the longest name in the table that they start with, so dated versions like `gpt-4o-2024-08-06`
+ * use the price of `gpt-4o`. Override or extend the table with the `prices` option of `ChatGPTClient`.
+ * These are list prices and may be out of date; local models (e.g. through Ollama) are free unless you add them.
+ */
+export const defaultPrices = {
+    'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+    'gpt-3.5-turbo-16k': { prompt: 3, completion: 4 },
+    'gpt-4': { prompt: 30, completion: 60 },
+    'gpt-4-32k': { prompt: 60, completion: 120 },
+    'gpt-4-turbo': { prompt: 10, completion: 30 },
+    'gpt-4-1106': { prompt: 10, completion: 30 },
+    'gpt-4-0125': { prompt: 10, completion: 30 },
+    'gpt-4o': { prompt: 2.5, completion: 10 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+    'text-davinci-003': { prompt: 20, completion: 20 },
+    'claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+    'claude-3-sonnet': { prompt: 3, completion: 15 },
+    'claude-3-opus': { prompt: 15, completion: 75 },
+    'claude-3-5-haiku': { prompt: 0.8, completion: 4 },
+    'claude-3-5-sonnet': { prompt: 3, completion: 15 },
+    'text-embedding-3-small': { prompt: 0.02, completion: 0 },
+    'text-embedding-3-large': { prompt: 0.13, completion: 0 },
+    'text-embedding-ada-002': { prompt: 0.1, completion: 0 },
+};
+
+/**
+ * @param {string} model
+ * @param {Object} [prices] Prices to use in addition to `defaultPrices`, in the same format.
+ * @returns {{prompt: number, completion: number}|null} The price per million tokens, or `null` if the model is unknown.
+ */
+export function getModelPrice(model, prices = {}) {
+    const priceTable = { ...defaultPrices, ...prices };
+    if (priceTable[model]) {
+        return priceTable[model];
+    }
+    const matchingModel = Object.keys(priceTable)
+        .filter(name => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return matchingModel ? priceTable[matchingModel] : null;
+}
+
+/**
+ * Estimate the cost of a completion.
+ * @param {string} model
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ * @param {Object} [prices] Prices to use in addition to `defaultPrices`.
+ * @returns {number|null} The cost in USD, or `null` if the model's price is unknown.
+ */
+export function getCost(model, promptTokens, completionTokens, prices = {}) {
+    const price = getModelPrice(model, prices);
+    if (!price) {
+        return null;
+    }
+    return ((promptTokens * price.prompt) + (completionTokens * price.completion)) / 1000000;
+}
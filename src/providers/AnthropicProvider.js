@@ -0,0 +1,270 @@
+import OpenAIProvider from './OpenAIProvider.js';
+import { parseDataUrl } from '../images.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const finishReasons = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length',
+    tool_use: 'tool_calls',
+};
+
+/**
+ * Sends completions to Anthropic's Messages API, converting prompts, responses and stream events from and to
+ * OpenAI's format. Anthropic doesn't publish its tokenizer, so prompts are counted with `cl100k_base`, which is only
+ * an estimate; the exact usage reported by the API is returned as `usage`.
+ */
+export default class AnthropicProvider extends OpenAIProvider {
+    // eslint-disable-next-line class-methods-use-this
+    isChatModel() {
+        return true;
+    }
+
+    getTokenizer() {
+        return this.client.constructor.getTokenizer('cl100k_base');
+    }
+
+    getCompletionsUrl() {
+        if (this.options.reverseProxyUrl) {
+            return this.options.reverseProxyUrl;
+        }
+        return `${(this.options.baseUrl || 'https://api.anthropic.com').replace(/\/+$/, '')}/v1/messages`;
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    getEmbeddingsUrl() {
+        throw new Error('Anthropic has no embeddings API. Use another client for embeddings (e.g. `retrieval.client` in the settings).');
+    }
+
+    getHeaders() {
+        const headers = {
+            'anthropic-version': this.options.anthropicVersion || ANTHROPIC_VERSION,
+        };
+        if (this.client.apiKey) {
+            headers['x-api-key'] = this.client.apiKey;
+        }
+        return headers;
+    }
+
+    getRequestBody(input, modelOptions) {
+        const { system, messages } = this.constructor.splitSystemMessages(input);
+        const body = {
+            model: modelOptions.model,
+            messages: this.constructor.getAnthropicMessages(messages),
+            max_tokens: modelOptions.max_tokens || this.client.maxResponseTokens,
+            temperature: modelOptions.temperature,
+        };
+        if (system) {
+            body.system = system;
+        }
+        // newer models don't accept both `temperature` and `top_p`, so only send `top_p` if it was changed
+        if (typeof modelOptions.top_p !== 'undefined' && modelOptions.top_p !== 1) {
+            body.top_p = modelOptions.top_p;
+        }
+        const stopSequences = (modelOptions.stop || []).filter(stop => stop.trim());
+        if (stopSequences.length > 0) {
+            body.stop_sequences = stopSequences;
+        }
+        if (modelOptions.tools) {
+            body.tools = modelOptions.tools.map(tool => ({
+                name: tool.function.name,
+                description: tool.function.description,
+                input_schema: tool.function.parameters || { type: 'object', properties: {} },
+            }));
+            if (modelOptions.tool_choice === 'none') {
+                body.tool_choice = { type: 'none' };
+            }
+        }
+        if (modelOptions.stream) {
+            body.stream = true;
+        }
+        return body;
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    createStreamParser() {
+        let id;
+        let model;
+        const usage = {};
+        // content block index => tool call index
+        const toolCallIndexes = {};
+        const getChunk = (delta, finishReason = null) => ({
+            id,
+            object: 'chat.completion.chunk',
+            model,
+            choices: [{ index: 0, delta, finish_reason: finishReason }],
+        });
+        return (message) => {
+            if (!message.data) {
+                return [];
+            }
+            const data = JSON.parse(message.data);
+            switch (data.type) {
+                case 'message_start':
+                    ({ id, model } = data.message);
+                    usage.prompt_tokens = data.message.usage?.input_tokens || 0;
+                    return [];
+                case 'content_block_start':
+                    if (data.content_block.type !== 'tool_use') {
+                        return [];
+                    }
+                    toolCallIndexes[data.index] = Object.keys(toolCallIndexes).length;
+                    return [getChunk({
+                        tool_calls: [{
+                            index: toolCallIndexes[data.index],
+                            id: data.content_block.id,
+                            type: 'function',
+                            function: { name: data.content_block.name, arguments: '' },
+                        }],
+                    })];
+                case 'content_block_delta':
+                    if (data.delta.type === 'text_delta') {
+                        return [getChunk({ content: data.delta.text })];
+                    }
+                    if (data.delta.type === 'input_json_delta') {
+                        return [getChunk({
+                            tool_calls: [{
+                                index: toolCallIndexes[data.index],
+                                function: { arguments: data.delta.partial_json },
+                            }],
+                        })];
+                    }
+                    return [];
+                case 'message_delta':
+                    usage.completion_tokens = data.usage?.output_tokens || 0;
+                    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+                    return [{
+                        ...getChunk({}, finishReasons[data.delta?.stop_reason] || null),
+                        usage: { ...usage },
+                    }];
+                case 'message_stop':
+                    return ['[DONE]'];
+                case 'error': {
+                    const error = new Error(`Failed to send message. ${data.error?.type} - ${data.error?.message}`);
+                    error.json = data;
+                    throw error;
+                }
+                default:
+                    // e.g. "ping" and "content_block_stop"
+                    return [];
+            }
+        };
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    parseResponse(response) {
+        const content = response.content || [];
+        const message = {
+            role: 'assistant',
+            content: content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join(''),
+        };
+        const toolCalls = content
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({
+                id: block.id,
+                type: 'function',
+                function: {
+                    name: block.name,
+                    arguments: JSON.stringify(block.input ?? {}),
+                },
+            }));
+        if (toolCalls.length > 0) {
+            message.tool_calls = toolCalls;
+        }
+        const promptTokens = response.usage?.input_tokens || 0;
+        const completionTokens = response.usage?.output_tokens || 0;
+        return {
+            id: response.id,
+            object: 'chat.completion',
+            model: response.model,
+            choices: [{
+                index: 0,
+                message,
+                finish_reason: finishReasons[response.stop_reason] || null,
+            }],
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens,
+            },
+        };
+    }
+
+    /**
+     * Convert chat messages in OpenAI's format (without system messages) to Anthropic's format.
+     * Tool results are sent by the user, and consecutive messages by the same role are merged,
+     * since Anthropic's roles must alternate, starting with the user.
+     * @param {Object[]} messages
+     * @returns {Object[]}
+     */
+    static getAnthropicMessages(messages) {
+        const anthropicMessages = [];
+        for (const message of messages) {
+            let role;
+            let content;
+            if (message.role === 'tool') {
+                role = 'user';
+                content = [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }];
+            } else if (message.role === 'assistant') {
+                role = 'assistant';
+                content = message.content ? [{ type: 'text', text: message.content }] : [];
+                for (const toolCall of message.tool_calls || []) {
+                    let toolInput;
+                    try {
+                        toolInput = JSON.parse(toolCall.function.arguments || '{}');
+                    } catch {
+                        toolInput = {};
+                    }
+                    content.push({
+                        type: 'tool_use',
+                        id: toolCall.id,
+                        name: toolCall.function.name,
+                        input: toolInput,
+                    });
+                }
+            } else if (Array.isArray(message.content)) {
+                role = 'user';
+                content = message.content.map(this.getAnthropicContentPart);
+            } else {
+                role = 'user';
+                content = message.content ? [{ type: 'text', text: message.content }] : [];
+            }
+            if (content.length === 0) {
+                continue;
+            }
+            const previousMessage = anthropicMessages[anthropicMessages.length - 1];
+            if (previousMessage?.role === role) {
+                previousMessage.content.push(...content);
+            } else {
+                anthropicMessages.push({ role, content });
+            }
+        }
+        if (anthropicMessages[0]?.role === 'assistant') {
+            // the messages before it were dropped to fit the context
+            anthropicMessages.unshift({ role: 'user', content: [{ type: 'text', text: '...' }] });
+        }
+        return anthropicMessages;
+    }
+
+    /**
+     * Convert a content part of a user message (text or an image, see `src/images.js`) to Anthropic's format.
+     * @param {Object} part
+     */
+    static getAnthropicContentPart(part) {
+        if (part.type !== 'image_url') {
+            return { type: 'text', text: part.text };
+        }
+        const dataUrl = parseDataUrl(part.image_url.url);
+        if (dataUrl) {
+            return {
+                type: 'image',
+                source: { type: 'base64', media_type: dataUrl.mimeType, data: dataUrl.base64 },
+            };
+        }
+        return { type: 'image', source: { type: 'url', url: part.image_url.url } };
+    }
+}
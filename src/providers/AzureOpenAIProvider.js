@@ -0,0 +1,58 @@
+import OpenAIProvider from './OpenAIProvider.js';
+
+const DEFAULT_API_VERSION = '2024-02-01';
+
+/**
+ * Sends completions to an Azure OpenAI deployment.
+ * Configured with `azure: { resourceName, deploymentName, embeddingDeploymentName, apiVersion }`, where the deployment
+ * names default to the model names,
+ * or with `baseUrl` instead of `resourceName` (e.g. `https://my-resource.openai.azure.com`).
+ * `reverseProxyUrl` can still be set to the full deployment URL, as with the previous `azure: true` option
+ * (`azure: true` without `reverseProxyUrl` uses the OpenAI provider, as it used to).
+ */
+export default class AzureOpenAIProvider extends OpenAIProvider {
+    getCompletionsUrl() {
+        if (this.options.reverseProxyUrl) {
+            return this.options.reverseProxyUrl;
+        }
+        const azureOptions = typeof this.options.azure === 'object' ? this.options.azure : {};
+        const deploymentName = azureOptions.deploymentName || this.client.modelOptions.model;
+        const endpoint = this.client.isChatGptModel ? 'chat/completions' : 'completions';
+        return this.getDeploymentUrl(deploymentName, endpoint);
+    }
+
+    /**
+     * Embeddings are sent to the `azure.embeddingDeploymentName` deployment, which defaults to the embedding model name.
+     */
+    getEmbeddingsUrl() {
+        if (this.options.embeddingsUrl) {
+            return this.options.embeddingsUrl;
+        }
+        const azureOptions = typeof this.options.azure === 'object' ? this.options.azure : {};
+        const deploymentName = azureOptions.embeddingDeploymentName
+            || this.options.embeddingModel
+            || this.getDefaultEmbeddingModel();
+        return this.getDeploymentUrl(deploymentName, 'embeddings');
+    }
+
+    getDeploymentUrl(deploymentName, endpoint) {
+        const azureOptions = typeof this.options.azure === 'object' ? this.options.azure : {};
+        let baseUrl = this.options.baseUrl || azureOptions.baseUrl;
+        if (!baseUrl && azureOptions.resourceName) {
+            baseUrl = `https://${azureOptions.resourceName}.openai.azure.com`;
+        }
+        if (!baseUrl) {
+            throw new Error('The Azure provider requires a deployment to send requests to. Set `azure: { resourceName }` (or `baseUrl`), '
+                + 'or set `reverseProxyUrl` to the full deployment URL as with `azure: true`.');
+        }
+        const apiVersion = azureOptions.apiVersion || DEFAULT_API_VERSION;
+        return `${baseUrl.replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(deploymentName)}/${endpoint}?api-version=${apiVersion}`;
+    }
+
+    getHeaders() {
+        if (!this.client.apiKey) {
+            return {};
+        }
+        return { 'api-key': this.client.apiKey };
+    }
+}
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import OpenAIProvider from './OpenAIProvider.js';
+import { parseDataUrl } from '../images.js';
+
+/**
+ * Sends completions to Ollama's chat API (`/api/chat`), configured with `baseUrl` (defaults to `http://localhost:11434`).
+ * Ollama streams newline-delimited JSON instead of server-sent events. Its context window is set to `maxContextTokens`,
+ * and prompts are counted with `cl100k_base`, which is only an estimate; the exact usage reported by Ollama is returned
+ * as `usage`.
+ */
+export default class OllamaProvider extends OpenAIProvider {
+    // eslint-disable-next-line class-methods-use-this
+    isChatModel() {
+        return true;
+    }
+
+    getTokenizer() {
+        return this.client.constructor.getTokenizer('cl100k_base');
+    }
+
+    getCompletionsUrl() {
+        if (this.options.reverseProxyUrl) {
+            return this.options.reverseProxyUrl;
+        }
+        return `${(this.options.baseUrl || 'http://localhost:11434').replace(/\/+$/, '')}/api/chat`;
+    }
+
+    getEmbeddingsUrl() {
+        if (this.options.embeddingsUrl) {
+            return this.options.embeddingsUrl;
+        }
+        return `${(this.options.baseUrl || 'http://localhost:11434').replace(/\/+$/, '')}/api/embed`;
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    getDefaultEmbeddingModel() {
+        return 'nomic-embed-text';
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    parseEmbeddingsResponse(response) {
+        return response.embeddings;
+    }
+
+    getRequestBody(input, modelOptions) {
+        const { system, messages } = this.constructor.splitSystemMessages(input);
+        const body = {
+            model: modelOptions.model,
+            messages: [
+                ...(system ? [{ role: 'system', content: system }] : []),
+                ...messages.map(this.constructor.getOllamaMessage),
+            ],
+            // Ollama streams by default
+            stream: Boolean(modelOptions.stream),
+            options: {
+                temperature: modelOptions.temperature,
+                top_p: modelOptions.top_p,
+                presence_penalty: modelOptions.presence_penalty,
+                frequency_penalty: modelOptions.frequency_penalty,
+                stop: modelOptions.stop,
+                num_predict: modelOptions.max_tokens,
+                num_ctx: this.client.maxContextTokens,
+            },
+        };
+        // Ollama has no `tool_choice`, so tools are left out to force a reply
+        if (modelOptions.tools && modelOptions.tool_choice !== 'none') {
+            body.tools = modelOptions.tools;
+        }
+        return body;
+    }
+
+    /**
+     * The parser takes a line of the response instead of an event.
+     */
+    // eslint-disable-next-line class-methods-use-this
+    createStreamParser() {
+        let toolCallCount = 0;
+        return (line) => {
+            const data = JSON.parse(line);
+            if (data.error) {
+                const error = new Error(`Failed to send message. ${data.error}`);
+                error.json = data;
+                throw error;
+            }
+            const delta = {};
+            if (data.message?.content) {
+                delta.content = data.message.content;
+            }
+            if (data.message?.tool_calls?.length) {
+                // Ollama sends each tool call whole, without an ID
+                delta.tool_calls = data.message.tool_calls.map((toolCall, index) => ({
+                    index: toolCallCount + index,
+                    id: `call_${crypto.randomUUID()}`,
+                    type: 'function',
+                    function: {
+                        name: toolCall.function.name,
+                        arguments: JSON.stringify(toolCall.function.arguments ?? {}),
+                    },
+                }));
+                toolCallCount += delta.tool_calls.length;
+            }
+            const chunk = {
+                object: 'chat.completion.chunk',
+                model: data.model,
+                choices: [{
+                    index: 0,
+                    delta,
+                    finish_reason: data.done ? getFinishReason(data, toolCallCount > 0) : null,
+                }],
+            };
+            if (!data.done) {
+                return [chunk];
+            }
+            return [{ ...chunk, usage: getUsage(data) }, '[DONE]'];
+        };
+    }
+
+    async streamCompletion(url, opts, onProgress, abortController) {
+        const response = await fetch(url, {
+            ...opts,
+            signal: abortController.signal,
+        });
+        if (response.status !== 200) {
+            throw await this.constructor.getResponseError(response);
+        }
+        const parseLine = this.createStreamParser();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (!line.trim()) {
+                    continue;
+                }
+                if (this.options.debug) {
+                    console.debug(line);
+                }
+                for (const progressMessage of parseLine(line)) {
+                    onProgress(progressMessage);
+                    if (progressMessage === '[DONE]') {
+                        return;
+                    }
+                }
+            }
+        }
+        // the stream ended without a final message
+        onProgress('[DONE]');
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    parseResponse(response) {
+        const message = {
+            role: 'assistant',
+            content: response.message?.content || '',
+        };
+        if (response.message?.tool_calls?.length) {
+            message.tool_calls = response.message.tool_calls.map(toolCall => ({
+                id: `call_${crypto.randomUUID()}`,
+                type: 'function',
+                function: {
+                    name: toolCall.function.name,
+                    arguments: JSON.stringify(toolCall.function.arguments ?? {}),
+                },
+            }));
+        }
+        return {
+            object: 'chat.completion',
+            model: response.model,
+            choices: [{
+                index: 0,
+                message,
+                finish_reason: getFinishReason(response, Boolean(message.tool_calls)),
+            }],
+            usage: getUsage(response),
+        };
+    }
+
+    /**
+     * Convert a chat message in OpenAI's format to Ollama's format, where tool call arguments are objects and images are
+     * a separate list.
+     * @param {Object} message
+     */
+    static getOllamaMessage(message) {
+        if (Array.isArray(message.content)) {
+            // Ollama takes the images of a message separately, as base64
+            return {
+                role: message.role,
+                content: message.content.filter(part => part.type === 'text').map(part => part.text).join('\n'),
+                images: message.content.filter(part => part.type === 'image_url').map((part) => {
+                    const dataUrl = parseDataUrl(part.image_url.url);
+                    if (!dataUrl) {
+                        throw new Error('Ollama only supports images sent as base64 (`imageBase64` or data URLs), not URLs.');
+                    }
+                    return dataUrl.base64;
+                }),
+            };
+        }
+        if (!message.tool_calls) {
+            return { role: message.role, content: message.content ?? '' };
+        }
+        return {
+            role: message.role,
+            content: message.content ?? '',
+            tool_calls: message.tool_calls.map((toolCall) => {
+                let args;
+                try {
+                    args = JSON.parse(toolCall.function.arguments || '{}');
+                } catch {
+                    args = {};
+                }
+                return { function: { name: toolCall.function.name, arguments: args } };
+            }),
+        };
+    }
+}
+
+function getFinishReason(response, hasToolCalls) {
+    if (hasToolCalls) {
+        return 'tool_calls';
+    }
+    return response.done_reason === 'length' ? 'length' : 'stop';
+}
+
+function getUsage(response) {
+    const promptTokens = response.prompt_eval_count || 0;
+    const completionTokens = response.eval_count || 0;
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+    };
+}
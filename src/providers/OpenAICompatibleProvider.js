@@ -0,0 +1,34 @@
+import OpenAIProvider from './OpenAIProvider.js';
+
+/**
+ * Sends completions to any server implementing OpenAI's chat completions API (LM Studio, vLLM, llama.cpp, LocalAI...),
+ * configured with `baseUrl` (e.g. `http://localhost:1234/v1`). The API key is optional.
+ * Models are assumed to be chat models, and their tokens are counted with `cl100k_base`, which is only an estimate.
+ */
+export default class OpenAICompatibleProvider extends OpenAIProvider {
+    // eslint-disable-next-line class-methods-use-this
+    isChatModel() {
+        return true;
+    }
+
+    getTokenizer() {
+        return this.client.constructor.getTokenizer('cl100k_base');
+    }
+
+    getCompletionsUrl() {
+        if (this.options.reverseProxyUrl) {
+            return this.options.reverseProxyUrl;
+        }
+        if (!this.options.baseUrl) {
+            throw new Error('The openai-compatible provider requires `baseUrl` or `reverseProxyUrl` to be set.');
+        }
+        return `${this.options.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    }
+
+    getEmbeddingsUrl() {
+        if (this.options.embeddingsUrl || !this.options.baseUrl) {
+            return super.getEmbeddingsUrl();
+        }
+        return `${this.options.baseUrl.replace(/\/+$/, '')}/embeddings`;
+    }
+}
@@ -0,0 +1,316 @@
+import { fetchEventSource } from '@waylaidwanderer/fetch-event-source';
+import { Agent, ProxyAgent } from 'undici';
+import { getRetryAfter } from '../retry.js';
+
+/**
+ * Sends completions to OpenAI's API. This is also the base class for the other providers of `ChatGPTClient`:
+ * every provider takes prompts in the format of OpenAI's API, and returns responses and stream events in that format,
+ * so that the client doesn't need to know which backend it's talking to.
+ */
+export default class OpenAIProvider {
+    /**
+     * @param {ChatGPTClient} client The client to read the API key and options from.
+     */
+    constructor(client) {
+        this.client = client;
+    }
+
+    get options() {
+        return this.client.options;
+    }
+
+    /**
+     * Whether the model takes chat messages (`/chat/completions`) instead of a text prompt (`/completions`).
+     * @param {string} model
+     */
+    // eslint-disable-next-line class-methods-use-this
+    isChatModel(model) {
+        return model.startsWith('gpt-');
+    }
+
+    /**
+     * The tokenizer to count the prompt's tokens with, or `null` to use the model's own tiktoken encoding.
+     */
+    // eslint-disable-next-line class-methods-use-this
+    getTokenizer() {
+        return null;
+    }
+
+    getCompletionsUrl() {
+        if (this.options.reverseProxyUrl) {
+            return this.options.reverseProxyUrl;
+        }
+        if (this.client.isChatGptModel) {
+            return 'https://api.openai.com/v1/chat/completions';
+        }
+        return 'https://api.openai.com/v1/completions';
+    }
+
+    getHeaders() {
+        if (!this.client.apiKey) {
+            return {};
+        }
+        return { Authorization: `Bearer ${this.client.apiKey}` };
+    }
+
+    /**
+     * The URL of the embeddings API: `embeddingsUrl` if set, otherwise derived from `reverseProxyUrl`
+     * (e.g. `https://example.com/v1/chat/completions` becomes `https://example.com/v1/embeddings`).
+     */
+    getEmbeddingsUrl() {
+        if (this.options.embeddingsUrl) {
+            return this.options.embeddingsUrl;
+        }
+        if (this.options.reverseProxyUrl) {
+            return this.options.reverseProxyUrl.replace(/\/(chat\/)?completions\/?$/, '/embeddings');
+        }
+        return 'https://api.openai.com/v1/embeddings';
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    getDefaultEmbeddingModel() {
+        return 'text-embedding-3-small';
+    }
+
+    /**
+     * @param {Object[]|string} input Chat messages for chat models, or a prompt string otherwise.
+     * @param {Object} modelOptions
+     */
+    getRequestBody(input, modelOptions) {
+        if (this.client.isChatGptModel) {
+            return { ...modelOptions, messages: input };
+        }
+        return { ...modelOptions, prompt: input };
+    }
+
+    /**
+     * Create a parser for the events of a single streamed completion.
+     * The parser returns the events as OpenAI completion chunks, followed by "[DONE]" at the end of the stream.
+     * @returns {function(Object): Array<Object|string>}
+     */
+    // eslint-disable-next-line class-methods-use-this
+    createStreamParser() {
+        return (message) => {
+            if (!message.data || message.event === 'ping') {
+                return [];
+            }
+            if (message.data === '[DONE]') {
+                return ['[DONE]'];
+            }
+            return [JSON.parse(message.data)];
+        };
+    }
+
+    /**
+     * Convert a (non-streamed) response to OpenAI's format.
+     * @param {Object} response
+     */
+    // eslint-disable-next-line class-methods-use-this
+    parseResponse(response) {
+        return response;
+    }
+
+    async getCompletion(input, modelOptions, onProgress, abortController) {
+        const { debug } = this.options;
+        const url = this.getCompletionsUrl();
+        const body = this.getRequestBody(input, modelOptions);
+        if (debug) {
+            console.debug();
+            console.debug(url);
+            console.debug(body);
+            console.debug();
+        }
+        const opts = {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.getHeaders(),
+                ...this.options.headers,
+            },
+            body: JSON.stringify(body),
+            dispatcher: new Agent({
+                bodyTimeout: 0,
+                headersTimeout: 0,
+            }),
+        };
+
+        if (this.options.proxy) {
+            opts.dispatcher = new ProxyAgent(this.options.proxy);
+        }
+
+        if (modelOptions.stream) {
+            return this.streamCompletion(url, opts, onProgress, abortController);
+        }
+        const response = await fetch(
+            url,
+            {
+                ...opts,
+                signal: abortController.signal,
+            },
+        );
+        if (response.status !== 200) {
+            throw await this.constructor.getResponseError(response);
+        }
+        return this.parseResponse(await response.json());
+    }
+
+    /**
+     * Get the embeddings of texts.
+     * @param {string[]} texts
+     * @param {string} model
+     * @param {AbortController} abortController
+     * @returns {Promise<number[][]>} The embeddings, in the order of the texts.
+     */
+    async getEmbeddings(texts, model, abortController) {
+        const url = this.getEmbeddingsUrl();
+        const opts = {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.getHeaders(),
+                ...this.options.headers,
+            },
+            body: JSON.stringify(this.getEmbeddingsRequestBody(texts, model)),
+            signal: abortController.signal,
+        };
+        if (this.options.proxy) {
+            opts.dispatcher = new ProxyAgent(this.options.proxy);
+        }
+        if (this.options.debug) {
+            console.debug(url, `(${texts.length} texts)`);
+        }
+        const response = await fetch(url, opts);
+        if (response.status !== 200) {
+            throw await this.constructor.getResponseError(response);
+        }
+        return this.parseEmbeddingsResponse(await response.json());
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    getEmbeddingsRequestBody(texts, model) {
+        return { model, input: texts };
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    parseEmbeddingsResponse(response) {
+        return [...response.data]
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+
+    /**
+     * Stream a completion sent as server-sent events.
+     */
+    streamCompletion(url, opts, onProgress, abortController) {
+        const { debug } = this.options;
+        const parseEvent = this.createStreamParser();
+        const { getResponseError } = this.constructor;
+        // eslint-disable-next-line no-async-promise-executor
+        return new Promise(async (resolve, reject) => {
+            try {
+                let done = false;
+                await fetchEventSource(url, {
+                    ...opts,
+                    signal: abortController.signal,
+                    async onopen(response) {
+                        if (response.status === 200) {
+                            return;
+                        }
+                        if (debug) {
+                            console.debug(response);
+                        }
+                        throw await getResponseError(response);
+                    },
+                    onclose() {
+                        if (debug) {
+                            console.debug('Server closed the connection unexpectedly, returning...');
+                        }
+                        // workaround for private API not sending [DONE] event
+                        if (!done) {
+                            onProgress('[DONE]');
+                            abortController.abort();
+                            resolve();
+                        }
+                    },
+                    onerror(err) {
+                        if (debug) {
+                            console.debug(err);
+                        }
+                        // rethrow to stop the operation
+                        throw err;
+                    },
+                    onmessage(message) {
+                        if (debug) {
+                            console.debug(message);
+                        }
+                        for (const progressMessage of parseEvent(message)) {
+                            if (progressMessage === '[DONE]') {
+                                onProgress('[DONE]');
+                                abortController.abort();
+                                resolve();
+                                done = true;
+                                return;
+                            }
+                            onProgress(progressMessage);
+                        }
+                    },
+                });
+                // fetchEventSource returns without an error when the request is aborted
+                // (this does nothing if the promise was already resolved)
+                reject(new Error('Request aborted'));
+            } catch (err) {
+                reject(err);
+            }
+        });
+    }
+
+    /**
+     * Create the error for a failed response, with its HTTP status, body and `Retry-After` delay (see `src/retry.js`).
+     * @param {Response} response
+     * @returns {Promise<Error>}
+     */
+    static async getResponseError(response) {
+        let error;
+        try {
+            const body = await response.text();
+            error = new Error(`Failed to send message. HTTP ${response.status} - ${body}`);
+            error.status = response.status;
+            try {
+                error.json = JSON.parse(body);
+            } catch {
+                error.body = body;
+            }
+        } catch {
+            error = new Error(`Failed to send message. HTTP ${response.status}`);
+            error.status = response.status;
+        }
+        const retryAfter = getRetryAfter(response.headers);
+        if (retryAfter !== null) {
+            error.retryAfter = retryAfter;
+        }
+        if (error.json?.error?.code === 'insufficient_quota') {
+            // retrying won't help until the account is topped up
+            error.retryable = false;
+        }
+        return error;
+    }
+
+    /**
+     * Split the system messages of a chat prompt from the rest, for APIs that take the instructions separately.
+     * The transcript prompt format sends the whole conversation as system messages, in which case the last one
+     * (the transcript) is sent as a user message, since these APIs need at least one.
+     * @param {Object[]} input
+     * @returns {{system: string, messages: Object[]}}
+     */
+    static splitSystemMessages(input) {
+        const systemMessages = input.filter(message => message.role === 'system');
+        let messages = input.filter(message => message.role !== 'system');
+        if (messages.length === 0 && systemMessages.length > 0) {
+            messages = [{ role: 'user', content: systemMessages.pop().content }];
+        }
+        return {
+            system: systemMessages.map(message => message.content).join('\n\n'),
+            messages,
+        };
+    }
+}
@@ -0,0 +1,24 @@
+import OpenAIProvider from './OpenAIProvider.js';
+import AzureOpenAIProvider from './AzureOpenAIProvider.js';
+import AnthropicProvider from './AnthropicProvider.js';
+import OllamaProvider from './OllamaProvider.js';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
+
+/**
+ * The providers `ChatGPTClient` can send completions to, by the name set as its `provider` option.
+ */
+export const providers = {
+    openai: OpenAIProvider,
+    azure: AzureOpenAIProvider,
+    anthropic: AnthropicProvider,
+    ollama: OllamaProvider,
+    'openai-compatible': OpenAICompatibleProvider,
+};
+
+export {
+    OpenAIProvider,
+    AzureOpenAIProvider,
+    AnthropicProvider,
+    OllamaProvider,
+    OpenAICompatibleProvider,
+};
@@ -0,0 +1,122 @@
+/**
+ * Retry policy shared by the clients, set with their `retry` option.
+ * Errors are retried with exponential backoff and jitter, or after the delay requested by the server (`Retry-After`).
+ * Set `retry: false` (or `maxRetries: 0`) to disable retries.
+ */
+export const defaultRetryOptions = {
+    // the number of retries after the first attempt
+    maxRetries: 2,
+    // the delay before the first retry, in milliseconds
+    initialDelay: 1000,
+    // the delay is multiplied by this after each retry
+    factor: 2,
+    // the maximum delay between attempts, in milliseconds. A longer `Retry-After` fails immediately instead.
+    maxDelay: 30000,
+};
+
+/**
+ * Errors are retryable if their HTTP status is 429 or 5xx, unless they set `retryable` themselves
+ * (e.g. Bing's "allowReconnect" errors, or quota errors that will keep failing).
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+    if (typeof error?.retryable === 'boolean') {
+        return error.retryable;
+    }
+    const status = error?.status;
+    return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Parse the delay requested by a response's `Retry-After` (or OpenAI's `retry-after-ms`) header.
+ * @param {Headers} headers
+ * @returns {number|null} The delay in milliseconds, or `null` if the response didn't request one.
+ */
+export function getRetryAfter(headers) {
+    const retryAfterMs = Number(headers?.get('retry-after-ms'));
+    if (retryAfterMs > 0) {
+        return retryAfterMs;
+    }
+    const retryAfter = headers?.get('retry-after');
+    if (!retryAfter) {
+        return null;
+    }
+    // either a number of seconds or an HTTP date
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(seconds * 1000, 0);
+    }
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Get the delay before the given retry.
+ * @param {Error} error The error of the failed attempt. Its `retryAfter` (in milliseconds) is used if set.
+ * @param {number} retry The number of the retry, starting at 1.
+ * @param {Object} retryOptions
+ * @returns {number|null} The delay in milliseconds, or `null` if the requested delay is longer than `maxDelay`.
+ */
+export function getRetryDelay(error, retry, retryOptions) {
+    if (typeof error?.retryAfter === 'number') {
+        return error.retryAfter <= retryOptions.maxDelay ? error.retryAfter : null;
+    }
+    const delay = Math.min(retryOptions.initialDelay * (retryOptions.factor ** (retry - 1)), retryOptions.maxDelay);
+    // "equal jitter": between half and all of the delay, so that clients failing together don't retry together
+    return (delay / 2) + (Math.random() * (delay / 2));
+}
+
+/**
+ * Call `fn` until it succeeds, retrying retryable errors according to the retry policy.
+ * @param {function(number): Promise<*>} fn Called with the number of the attempt, starting at 0.
+ * @param {Object|boolean} [retryOptions] The client's `retry` option.
+ * @param {Object} [opts]
+ * @param {AbortController} [opts.abortController] Stops retrying when aborted.
+ * @param {function(Error): boolean} [opts.shouldRetry] Additional check, e.g. to not retry once tokens have been streamed.
+ * @param {function(Error, number, number): void} [opts.onRetry] Called with the error, the number of the retry and the delay.
+ * @returns {Promise<*>}
+ */
+export async function withRetry(fn, retryOptions = {}, {
+    abortController = null,
+    shouldRetry = () => true,
+    onRetry = null,
+} = {}) {
+    const options = retryOptions === false
+        ? { ...defaultRetryOptions, maxRetries: 0 }
+        : { ...defaultRetryOptions, ...retryOptions };
+    for (let attempt = 0; ; attempt++) {
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            return await fn(attempt);
+        } catch (error) {
+            if (
+                attempt >= options.maxRetries
+                || abortController?.signal.aborted
+                || !isRetryableError(error)
+                || !shouldRetry(error)
+            ) {
+                throw error;
+            }
+            const delay = getRetryDelay(error, attempt + 1, options);
+            if (delay === null) {
+                throw error;
+            }
+            if (typeof onRetry === 'function') {
+                onRetry(error, attempt + 1, delay);
+            }
+            // eslint-disable-next-line no-await-in-loop
+            await sleep(delay, abortController?.signal);
+        }
+    }
+}
+
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timeout);
+            reject(new Error('Request aborted'));
+        }, { once: true });
+    });
+}